@@ -35,7 +35,7 @@
   form.addEventListener('input', save, { passive: true });
 })();
 
-// Preview RSS feed with first two items
+// Preview feed with first two items
 (function () {
   const previewBtn = document.getElementById('preview-btn');
   const previewBox = document.getElementById('preview');
@@ -45,37 +45,119 @@
     const previewUrl = window.buildFeedURL(2);
     const fullUrl = window.buildFeedURL();
 
+    // Report malformed filter lines instead of skipping them
+    previewUrl.searchParams.set('strict', '1');
+
     previewCode.textContent = 'Loading preview…';
 
     try {
       const res = await fetch(previewUrl);
       if (!res.ok) throw new Error(await res.text());
-      const xml = await res.text();
-
-      const doc = new DOMParser().parseFromString(xml, 'application/xml');
-      const items = Array.from(doc.querySelectorAll('item')).slice(0, 2);
-
-      const lines = items.map(it => {
-        const title = it.querySelector('title')?.textContent?.trim() || '(empty)';
-        const link = it.querySelector('link')?.textContent?.trim() || '(empty)';
-        const desc = it.querySelector('description')?.textContent?.trim();
-        const date = it.querySelector('pubDate')?.textContent?.trim();
+      const format = previewUrl.searchParams.get('format') || 'rss';
+      const items = parseItems(await res.text(), format).slice(0, 2);
 
-        let block = `Title: ${title}\nLink: ${link}`;
+      const lines = items.map(({ title, link, desc, date, image, enclosure, content }) => {
+        let block = `Title: ${title || '(empty)'}\nLink: ${link || '(empty)'}`;
         if (desc) block += `\nDesc: ${desc}`;
         if (date) block += `\nDate: ${date}`;
+        if (image) block += `\nImage: ${image}`;
+        if (enclosure) block += `\nEnclosure: ${enclosure}`;
+        if (content) block += `\nContent: ${content.length} chars of HTML`;
         return block;
       });
 
       const body = items.length //
         ? lines.join('\n\n') + '\n\n...' //
-        : '// No items found.';
+        : '// No items found.\n\n' + await debugReport(previewUrl);
 
       previewCode.textContent = `Feed URL: ${fullUrl}\n\n${body}`;
     } catch (e) {
       previewCode.textContent = '// ' + (e.message || String(e) || 'Unknown error.');
     }
   });
+
+  // Explain empty feeds; same params against /debug
+  async function debugReport(feedUrl) {
+    const url = new URL('/debug', location.href);
+    url.search = feedUrl.search;
+
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(await res.text());
+      return renderReport(await res.json());
+    } catch (e) {
+      return '// Debug report failed: ' + (e.message || String(e));
+    }
+  }
+
+  function renderReport(report) {
+    const lines = ['// Debug report'];
+    if (report.upstream) {
+      const { status, contentType } = report.upstream;
+      lines.push(`Upstream: ${status} (${contentType || 'no content type'})`);
+    }
+
+    if (report.error) lines.push(`Error: ${report.error}`);
+
+    const { bytes, stoppedEarly, pages } = report.read;
+    lines.push(`Read: ${bytes} bytes; ${pages} page(s)${stoppedEarly ? '; stopped early' : ''}`);
+    lines.push(`Item matches: ${report.matches.item}`);
+
+    const fields = Object.entries(report.matches.fields).map(([name, count]) => `${name} ${count}`);
+    if (fields.length) lines.push(`Field matches: ${fields.join(', ')}`);
+
+    if (report.rejected.length) {
+      lines.push('Rejected:');
+      for (const it of report.rejected) {
+        lines.push(`  - ${it.title || it.link || '(empty)'}: ${it.reason}`);
+      }
+    }
+
+    if (report.warnings.length) {
+      lines.push('Warnings:');
+      for (const warning of report.warnings) lines.push(`  - ${warning}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  const MEDIA_NS = 'http://search.yahoo.com/mrss/';
+
+  // Normalize items of any output format to { title, link, desc, date, image, enclosure, content }
+  function parseItems(body, format) {
+    if (format === 'json') {
+      return JSON.parse(body).items.map(it => ({
+        title: it.title, link: it.url, desc: it.summary || it.content_text, //
+        date: it.date_published, content: it.content_html, //
+        image: it.image, enclosure: it.attachments?.[0]?.url
+      }));
+    }
+
+    const doc = new DOMParser().parseFromString(body, 'application/xml');
+    const text = (node, sel) => node.querySelector(sel)?.textContent?.trim();
+
+    if (format === 'atom') {
+      return Array.from(doc.querySelectorAll('entry')).map(it => ({
+        title: text(it, 'title'),
+        link: it.querySelector('link')?.getAttribute('href'),
+        desc: text(it, 'summary'),
+        date: text(it, 'published'),
+        content: text(it, 'content'),
+        image: it.getElementsByTagNameNS(MEDIA_NS, 'thumbnail')[0]?.getAttribute('url'),
+        enclosure: it.querySelector('link[rel="enclosure"]')?.getAttribute('href'),
+      }));
+    }
+
+    return Array.from(doc.querySelectorAll('item')).map(it => ({
+      title: text(it, 'title'),
+      link: text(it, 'link'),
+      desc: text(it, 'description'),
+      date: text(it, 'pubDate'),
+      content: it.getElementsByTagNameNS('http://purl.org/rss/1.0/modules/content/', 'encoded')[0]?.textContent,
+      image: it.getElementsByTagNameNS(MEDIA_NS, 'thumbnail')[0]?.getAttribute('url'),
+      enclosure: it.querySelector('enclosure')?.getAttribute('url'),
+    }));
+  }
 })();
 
 // Intercept form submit to copy the URL instead
@@ -141,6 +223,412 @@
   };
 })();
 
+// Save feed definition on the server; short /f/:id link
+(function () {
+  const KEY = 'rssible-saved';
+  const saveBtn = document.getElementById('save-btn');
+  const previewCode = document.querySelector('#preview code');
+
+  saveBtn.addEventListener('click', async () => {
+    const def = Object.fromEntries(window.buildFeedURL().searchParams);
+    const collection = document.querySelector('#opml input[name="collection"]').value.trim();
+    if (collection) def.collection = collection;
+
+    // Feeds using secrets are bound to them with their tokens (kept by the Secrets panel)
+    const headersText = document.querySelector('textarea[name="headers_text"]').value;
+    const refs = [...headersText.matchAll(/\{\{secret:([A-Za-z0-9_-]+)\}\}/g)].map(m => m[1]);
+    if (refs.length) {
+      let secretTokens = {};
+      try {
+        secretTokens = JSON.parse(localStorage.getItem('rssible-secrets') || '{}');
+      } catch {}
+      def.secrets = Object.fromEntries(refs.filter(name => secretTokens[name]).map(name => [name, secretTokens[name]]));
+    }
+
+    try {
+      const res = await fetch('/api/feeds', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(def),
+      });
+
+      if (!res.ok) throw new Error(await res.text());
+      const { id, url, token } = await res.json();
+
+      // Edit tokens are shown once; keep a local copy too
+      try {
+        const saved = JSON.parse(localStorage.getItem(KEY) || '{}');
+        saved[id] = token;
+        localStorage.setItem(KEY, JSON.stringify(saved));
+      } catch {}
+
+      previewCode.textContent = `Feed URL: ${url}\nEdit token: ${token}\n\n` +
+        `// Keep the token to update (PUT) or delete (DELETE) /api/feeds/${id}`;
+
+      await navigator.clipboard.writeText(url).catch(() => {});
+      const prev = saveBtn.textContent;
+      saveBtn.textContent = 'Saved!';
+      setTimeout(() => (saveBtn.textContent = prev), 1200);
+    } catch (e) {
+      previewCode.textContent = '// ' + (e.message || String(e) || 'Unknown error.');
+    }
+  });
+})();
+
+// OPML export/import of saved feeds; edit tokens from 'Save feed'
+(function () {
+  const KEY = 'rssible-saved';
+  const collectionInput = document.querySelector('#opml input[name="collection"]');
+  const exportBtn = document.getElementById('export-btn');
+  const importBtn = document.getElementById('import-btn');
+  const importFile = document.getElementById('import-file');
+  const previewCode = document.querySelector('#preview code');
+
+  function savedTokens() {
+    try {
+      return JSON.parse(localStorage.getItem(KEY) || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  exportBtn.addEventListener('click', async () => {
+    try {
+      const feeds = savedTokens();
+      if (!Object.keys(feeds).length) throw new Error('No saved feeds in this browser.');
+
+      const collection = collectionInput.value.trim() || undefined;
+      const res = await fetch('/api/opml/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ feeds, collection }),
+      });
+      if (!res.ok) throw new Error(await res.text());
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = collection ? `rssible-${collection}.opml` : 'rssible.opml';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (e) {
+      previewCode.textContent = '// ' + (e.message || String(e) || 'Unknown error.');
+    }
+  });
+
+  importBtn.addEventListener('click', () => importFile.click());
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    try {
+      const res = await fetch('/api/opml/import', { method: 'POST', body: await file.text() });
+      const { created = [], failed = [] } = await res.json().catch(() => ({}));
+      if (!res.ok && !failed.length) throw new Error(`Import failed (${res.status}).`);
+
+      // Same as 'Save feed': tokens are shown once; keep a local copy
+      try {
+        const saved = savedTokens();
+        for (const feed of created) saved[feed.id] = feed.token;
+        localStorage.setItem(KEY, JSON.stringify(saved));
+      } catch {}
+
+      previewCode.textContent = [
+        `// Imported ${created.length} feed(s); ${failed.length} failed`,
+        ...created.map(f => `${f.name || f.id}: ${f.url} (edit token: ${f.token})`),
+        ...failed.map(f => `// ${f.name || f.xmlUrl}: ${f.error}`),
+      ].join('\n');
+    } catch (e) {
+      previewCode.textContent = '// ' + (e.message || String(e) || 'Unknown error.');
+    }
+  });
+})();
+
+// Health of saved feeds (edit tokens from 'Save feed'); loaded when opened
+(function () {
+  const panel = document.getElementById('health');
+  const list = document.getElementById('health-list');
+
+  function line(text) {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.append(li);
+    return li;
+  }
+
+  panel.addEventListener('toggle', async () => {
+    if (!panel.open) return;
+    list.replaceChildren();
+
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('rssible-saved') || '{}');
+    } catch {}
+
+    const ids = Object.keys(saved);
+    if (!ids.length) return void line('No saved feeds in this browser.');
+
+    for (const id of ids) {
+      const li = line(`${id}: loading...`);
+      try {
+        const res = await fetch(`/api/feeds/${id}/health`, { headers: { Authorization: `Bearer ${saved[id]}` } });
+        if (!res.ok) throw new Error(await res.text());
+
+        const { status, reasons, since, checked, runs } = await res.json();
+        const last = runs[0];
+        const details = [
+          reasons.length && reasons.join('; '),
+          since && `since ${new Date(since).toLocaleString()}`,
+          last && !last.error && `${last.items} items, ${last.latency} ms`,
+          checked && `checked ${new Date(checked).toLocaleString()}`,
+        ].filter(Boolean);
+        li.textContent = `${id}: ${status}` + (details.length ? ` (${details.join('; ')})` : '');
+      } catch (e) {
+        li.textContent = `${id}: ${e.message || 'Unknown error.'}`;
+      }
+    }
+  });
+})();
+
+// Secrets for headers; edit tokens kept locally, by secret name
+(function () {
+  const KEY = 'rssible-secrets';
+  const form = document.getElementById('secrets-form');
+  const rotateBtn = document.getElementById('secret-rotate-btn');
+  const previewCode = document.querySelector('#preview code');
+
+  function tokens() {
+    try {
+      return JSON.parse(localStorage.getItem(KEY) || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  function hostsOf(value) {
+    return value.split(/[\s,]+/).filter(Boolean);
+  }
+
+  async function request(method, path, body, token) {
+    const res = await fetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: JSON.stringify(body),
+    });
+
+    if (!res.ok) throw new Error(await res.text());
+    return res.json();
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { name, value, hosts } = form.elements;
+
+    try {
+      const secret = await request('POST', '/api/secrets', {
+        name: name.value.trim(), value: value.value, hosts: hostsOf(hosts.value),
+      });
+
+      try {
+        localStorage.setItem(KEY, JSON.stringify({ ...tokens(), [secret.name]: secret.token }));
+      } catch {}
+
+      name.value = secret.name;
+      value.value = '';
+      previewCode.textContent = `Secret: ${secret.name}\nHeader value: ${secret.ref}\nEdit token: ${secret.token}\n\n` +
+        `// Keep the token to rotate (PUT) or delete (DELETE) /api/secrets/${secret.name}`;
+      await navigator.clipboard.writeText(secret.ref).catch(() => {});
+    } catch (e) {
+      previewCode.textContent = '// ' + (e.message || String(e) || 'Unknown error.');
+    }
+  });
+
+  rotateBtn.addEventListener('click', async () => {
+    const { name, value, hosts } = form.elements;
+    const token = tokens()[name.value.trim()];
+
+    try {
+      if (!token) throw new Error('No edit token for this secret in this browser; use the full name it was created with.');
+
+      const body = {};
+      if (value.value) body.value = value.value;
+      if (hosts.value.trim()) body.hosts = hostsOf(hosts.value);
+
+      const secret = await request('PUT', `/api/secrets/${encodeURIComponent(name.value.trim())}`, body, token);
+      value.value = '';
+      previewCode.textContent = `// Secret ${secret.name} updated; hosts: ${secret.hosts.join(', ')}`;
+    } catch (e) {
+      previewCode.textContent = '// ' + (e.message || String(e) || 'Unknown error.');
+    }
+  });
+})();
+
+// Visual selector picker; works on a script-free snapshot (/snapshot)
+(function () {
+  const FIELDS = ['title', 'link', 'desc', 'date', 'image'];
+  const formElem = document.querySelector('form');
+  const pickerBtn = document.getElementById('picker-btn');
+  const previewBtn = document.getElementById('preview-btn');
+  const panel = document.getElementById('picker');
+  const frame = document.getElementById('picker-frame');
+
+  let itemSelector = null; // as picked; cleared on reload
+  let armed = null; // field input focused before clicking in the frame
+
+  formElem.addEventListener('focusin', event => {
+    armed = FIELDS.includes(event.target.name) ? event.target.name : null;
+  });
+
+  pickerBtn.addEventListener('click', () => {
+    const feedUrl = window.buildFeedURL();
+    if (!feedUrl.searchParams.get('url')) return alert('Enter the page URL first.');
+
+    const url = new URL('/snapshot', location.href);
+    for (const key of ['url', 'headers']) {
+      const val = feedUrl.searchParams.get(key);
+      if (val) url.searchParams.set(key, val);
+    }
+
+    itemSelector = null;
+    panel.hidden = false;
+    frame.src = url.toString();
+  });
+
+  frame.addEventListener('load', () => {
+    const doc = frame.contentDocument;
+    if (!doc?.body) return;
+
+    const style = doc.createElement('style');
+    style.textContent = '.rssible-hover { outline: 2px solid #f06 !important; cursor: crosshair; }' +
+      '.rssible-item { outline: 2px dashed #06f !important; }';
+    doc.head.appendChild(style);
+
+    doc.addEventListener('mouseover', e => e.target.classList?.add('rssible-hover'));
+    doc.addEventListener('mouseout', e => e.target.classList?.remove('rssible-hover'));
+    doc.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      pick(doc, event.target);
+    }, true);
+  });
+
+  function pick(doc, target) {
+    const item = itemSelector && target.closest(itemSelector);
+    if (item && armed) {
+      set(armed, fieldSelector(armed, item, target));
+    } else {
+      pickItem(doc, target);
+    }
+
+    armed = null;
+    formElem.dispatchEvent(new Event('input')); // persist
+    previewBtn.click();
+  }
+
+  function pickItem(doc, target) {
+    const item = findItem(target);
+    itemSelector = itemSelectorFor(doc, item);
+
+    doc.querySelectorAll('.rssible-item').forEach(el => el.classList.remove('rssible-item'));
+    doc.querySelectorAll(itemSelector).forEach(el => el.classList.add('rssible-item'));
+
+    set('_item', itemSelector);
+    for (const name of FIELDS) set(name, guessField(name, item));
+  }
+
+  function set(name, value) {
+    formElem.elements[name].value = value ?? '';
+  }
+
+  // Tag and classes (picker's own classes excluded)
+  function signature(el, classes = [...el.classList]) {
+    const own = classes.filter(c => !c.startsWith('rssible-'));
+    return el.tagName.toLowerCase() + own.map(c => '.' + CSS.escape(c)).join('');
+  }
+
+  // Lowest ancestor (or self) repeated among its siblings, preferring ones with a link
+  function findItem(target) {
+    const repeated = [];
+    for (let el = target; el && el.parentElement && el.tagName !== 'BODY'; el = el.parentElement) {
+      const tag = el.tagName;
+      const siblings = [...el.parentElement.children].filter(c => c.tagName === tag);
+      if (siblings.length >= 2) repeated.push(el);
+    }
+
+    const withLink = repeated.find(el => el.matches('a[href]') || el.querySelector('a[href]'));
+    return withLink || repeated[0] || target;
+  }
+
+  // Tag plus classes shared by all same-tag siblings; scoped by parent if too broad
+  function itemSelectorFor(doc, item) {
+    const siblings = [...item.parentElement.children].filter(c => c.tagName === item.tagName);
+    const shared = [...item.classList].filter(c => siblings.every(s => s.classList.contains(c)));
+
+    const sel = signature(item, shared);
+    if (doc.querySelectorAll(sel).length <= siblings.length) return sel;
+
+    const parent = item.parentElement;
+    return parent.id ? `#${CSS.escape(parent.id)} > ${sel}` : `${signature(parent)} > ${sel}`;
+  }
+
+  // Relative to the item; shortest chain of signatures that is unique within it
+  function relativeSelector(item, target) {
+    if (item === target) return '@';
+
+    const chain = [];
+    for (let el = target; el && el !== item; el = el.parentElement) {
+      chain.unshift(signature(el));
+      const sel = chain.join(' > ');
+      if (item.querySelectorAll(sel).length === 1) return sel;
+    }
+
+    return chain.join(' > ');
+  }
+
+  function fieldSelector(name, item, target) {
+    if (name === 'link') {
+      const link = target.closest('a[href]') || target.querySelector('a[href]');
+      if (link === item || (!link && item.matches('a[href]'))) return '@';
+      return link && item.contains(link) ? relativeSelector(item, link) : relativeSelector(item, target);
+    }
+
+    if (name === 'date') {
+      const time = target.closest('time') || target;
+      const sel = relativeSelector(item, time);
+      return time.hasAttribute('datetime') ? `${sel === '@' ? '' : sel}@datetime` : sel;
+    }
+
+    if (name === 'image') {
+      const img = target.closest('img') || target.querySelector('img') || target;
+      return relativeSelector(item, img);
+    }
+
+    return relativeSelector(item, target);
+  }
+
+  // Best-effort guesses; any field can be refined by clicking
+  function guessField(name, item) {
+    const q = sel => item.querySelector(sel);
+    let target;
+
+    if (name === 'title') target = q('h1, h2, h3, h4, h5, h6, [class*="title" i]') || q('a[href]');
+    if (name === 'link') return item.matches('a[href]') ? '@' : q('a[href]') && fieldSelector('link', item, q('a[href]'));
+    if (name === 'desc') {
+      target = q('[class*="desc" i], [class*="excerpt" i], [class*="summary" i]') ||
+        [...item.querySelectorAll('p')].find(p => p.textContent.trim().length > 40);
+    }
+
+    if (name === 'date') {
+      target = q('time, [class*="date" i]');
+      return target && fieldSelector('date', item, target);
+    }
+
+    if (name === 'image') target = q('img');
+    return target && target !== item ? relativeSelector(item, target) : '';
+  }
+})();
+
 // Invoke preview on demo link click
 (function () {
   const formElem = document.querySelector('form');
@@ -150,12 +638,18 @@
     const mapping = {
       url: 'url', item: '_item', title: 'title', //
       link: 'link', desc: 'desc', date: 'date', //
-      limit: 'limit', filters: 'filters'
+      limit: 'limit', filters: 'filters', format: 'format', //
+      history: 'history', next: 'next', cursor: 'cursor', //
+      content: 'content', image: 'image', enclosure: 'enclosure', //
+      date_format: 'date_format', tz: 'tz', transforms: 'transforms', //
+      render: 'render', wait_for: 'wait_for'
     };
 
-    // Clear all fields first
+    // Clear all fields first; selects fall back to the first option
     for (const elem of formElem.elements) {
-      if (elem.name) elem.value = '';
+      if (!elem.name) continue;
+      if (elem.tagName === 'SELECT') elem.selectedIndex = 0;
+      else elem.value = '';
     }
 
     for (const [key, formName] of Object.entries(mapping)) {
@@ -0,0 +1,33 @@
+// Stub WebSub subscriber for local testing; confirms every verification
+// request and prints pushed feeds (checking X-Hub-Signature if SECRET is set).
+// Usage: SECRET=s3cret PORT=8788 node scripts/websub-subscriber.mjs
+import { createServer } from "node:http";
+import { createHmac } from "node:crypto";
+
+const port = Number(process.env.PORT || 8788);
+const secret = process.env.SECRET;
+
+createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  // Verification of intent: echo the challenge
+  if (req.method === "GET") {
+    const challenge = url.searchParams.get("hub.challenge");
+    console.log(`${url.searchParams.get("hub.mode")}: ${url.searchParams.get("hub.topic")}`);
+    res.writeHead(challenge ? 200 : 400).end(challenge || "");
+    return;
+  }
+
+  let body = "";
+  req.on("data", chunk => (body += chunk));
+  req.on("end", () => {
+    let note = "";
+    if (secret) {
+      const expected = `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+      note = req.headers["x-hub-signature"] === expected ? " (signature ok)" : " (BAD SIGNATURE)";
+    }
+
+    console.log(`push: ${req.headers["content-type"]}, ${body.length} bytes${note}\n${req.headers.link || ""}`);
+    res.writeHead(204).end();
+  });
+}).listen(port, () => console.log(`Stub subscriber on http://localhost:${port}/`));
@@ -1,99 +1,2080 @@
+import puppeteer from "@cloudflare/puppeteer";
+import { EmailMessage } from "cloudflare:email";
+
 /**
  * Optimized URL (HTML|JSON) → RSS generator (Cloudflare workers)
  * - Static assets served via ASSETS binding (wrangler.toml)
  * - Supported fields: required (title or link), optional (desc, date)
- * - Regex-based filtering for item, title, link, desc (date unsupported)
+ * - Descriptions as text (default) or sanitized HTML ("desc_mode=html")
+ * - Field values from text or attributes ("selector@attr")
+ * - Media: image (thumbnail) and enclosure URLs; Media RSS
+ * - Dates: relative, custom formats, non-English months, time zones
+ * - Debug report (/debug): upstream, matches, rejections, warnings
+ * - Script-free page snapshots (/snapshot) for the app's selector picker
+ * - Filter rules: regex (=, !=) on item, title, link, desc; date comparisons
+ * - Transform rules: regex replace, trim, strip URL params, templates
+ * - JSON sources: JSONPath/dot-path selectors, or CSS over converted HTML
+ * - RSS, Atom and sitemap sources: parsed natively; no selectors needed
+ * - Merged multi-source feeds ("src" params); labeled, de-duplicated, sorted
+ * - Headless-browser rendering (render=1) for client-side rendered pages
+ * - Non-UTF-8 pages transcoded (charset from header, BOM, meta; or "charset")
  * - Custom HTTP headers (RFC-style = newline-delimited; base64-encoded)
- * - Caching via Cloudflare edge (can be disabled)
+ * - Encrypted secrets (AES-GCM) referenced from headers; host-bound, redacted
+ * - Output formats: RSS 2.0 (default), Atom 1.0, JSON Feed 1.1
+ * - Saved feed definitions (KV or in-memory) served at /f/:id
+ * - OPML export/import of saved feeds (with their definitions); collections
+ * - Optional item history; keeps items after they leave the page
+ * - Pagination via "next page" selector (href or JSON cursor)
+ * - Full-article content (sanitized HTML) fetched from item links
+ * - Caching via Cloudflare edge (can be disabled); per-feed TTL ("ttl")
+ * - Conditional requests: ETag (and Last-Modified, saved feeds) for readers; upstream
+ *   validators are stored, so unchanged pages reuse previous items
+ * - WebSub hub (/hub) for saved feeds; a cron job pushes changed feeds
+ * - Notifications on new items: webhooks (JSON, Slack, Discord) and email
+ * - URL policy for upstream fetches (http(s) only, no private addresses,
+ *   allow/deny lists; checked per redirect), response size cap, rate limits
+ * - Health checks for saved feeds; broken feeds flagged (and optionally
+ *   announced with a synthetic item)
  */
 
-export default {
-  async fetch(req, env, ctx) {
-    try {
-      return await handleFeed(req, ctx);
-    } catch (err) {
-      const status = err?.status || 500;
-      return new Response(err?.message || "Internal Error", { status });
+export default {
+  async fetch(req, env, ctx) {
+    try {
+      return await redactResponse(req, await route(req, env, ctx));
+    } catch (err) {
+      const status = err?.status || 500;
+      return new Response(redact(req, err?.message || "Internal Error"), { status, headers: err?.headers });
+    }
+  },
+
+  // Cron trigger (wrangler.toml); see refreshFeeds()
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(refreshFeeds(env, ctx));
+  },
+};
+
+const DEFAULT_LIMIT = 5; // items per feed
+const MAX_LIMIT = 25; // max items per feed
+const CACHE_TTL = 900; // in seconds; 15 minutes
+const MIN_TTL = 60; // bounds for the 'ttl' param
+const MAX_TTL = 86_400;
+const HISTORY_TTL = 2_592_000; // in seconds; ad-hoc feeds' history, from the last fetch (30 days)
+const VALIDATOR_TTL = 604_800; // in seconds; stored upstream validators and change times (saved feeds)
+const MAX_HISTORY = 100; // max remembered items per feed
+const MAX_PAGES = 5; // max pages fetched per feed (incl. first)
+const MAX_ARTICLES = 20; // max article fetches per feed (content mode)
+const ARTICLE_CONCURRENCY = 4; // parallel article fetches per feed
+const MAX_CONTENT_LENGTH = 50_000; // chars of article HTML per item
+
+const DISABLE_CACHE = false; // for testing
+const DEBUG = false; // for debugging
+
+if (!DEBUG) {
+  console.log = () => {};
+}
+
+const ID_LENGTH = 10; // saved feed IDs; base62
+const MAX_WARNINGS = 20; // per debug report
+const MAX_SOURCES = 10; // per merged feed
+const RENDER_TIMEOUT = 15_000; // in ms; page load and wait_for each
+const DEFAULT_LEASE = 864_000; // in seconds; WebSub subscriptions (10 days)
+const MAX_LEASE = 2_592_000; // 30 days
+const MAX_SUBSCRIPTIONS = 10; // WebSub subscriptions per saved feed
+const MAX_TARGETS = 5; // notification targets per saved feed
+const DEFAULT_RATE = 10; // notifications per target and hour
+const MAX_PENDING = 50; // items queued per target (rate limited or failing)
+const MAX_SEEN = 500; // item IDs remembered per feed for notifications
+const NOTIFY_ATTEMPTS = 3; // per notification and run; backoff 1s, 2s
+const HEALTH_INTERVAL = 3600; // in seconds; checks of saved feeds without subscribers/targets
+const MAX_HEALTH_RUNS = 48; // per feed; newest first
+const HEALTH_BASELINE = 10; // healthy runs that title/link coverage is compared to
+const MAX_REFRESH_FEEDS = 25; // saved feeds scraped per cron run
+const MAX_REFRESH_VISITS = 200; // saved feeds looked at per cron run (incl. not due)
+const MAX_FEEDS = 1000; // saved feeds per deployment; MAX_FEEDS var overrides
+const MAX_IMPORT = 100; // feeds per OPML import
+const MAX_SECRET_HOSTS = 10; // allowed hosts per secret
+const MAX_REDIRECTS = 5; // followed manually; each hop is checked (see checkUrl())
+const MAX_UPSTREAM_BYTES = 5_000_000; // per upstream response body
+const MAX_MEMORY_ENTRIES = 10_000; // in-memory store (without KV)
+const RATE_LIMIT = 60; // uncached requests per client and minute (in-memory limiter)
+
+async function route(req, env, ctx) {
+  const { pathname } = new URL(req.url);
+
+  if (pathname === "/api/feeds" || pathname.startsWith("/api/feeds/")) {
+    return handleFeedsApi(req, env);
+  }
+
+  if (pathname.startsWith("/api/opml/")) {
+    return handleOpmlApi(req, env);
+  }
+
+  if (pathname === "/api/secrets" || pathname.startsWith("/api/secrets/")) {
+    return handleSecretsApi(req, env);
+  }
+
+  const saved = pathname.match(/^\/f\/([A-Za-z0-9]+)$/);
+  if (saved) return handleSavedFeed(req, env, ctx, saved[1]);
+
+  if (pathname === "/hub") return handleHub(req, env, ctx);
+  if (pathname === "/debug") return handleDebug(req, env);
+  if (pathname === "/snapshot") return handleSnapshot(req, env);
+
+  return handleFeed(req, env, ctx);
+}
+
+// Query params may come from a saved definition ('feed', its record);
+// defaults to request URL
+async function handleFeed(req, env, ctx, query, feedId, feed) {
+  const url = new URL(req.url);
+  query = query || url.searchParams;
+  const params = parseParams(query);
+  await resolveSecrets(params, env, req, feed);
+
+  let cacheKey;
+  // Caching; key includes params (not the client's conditional headers)
+  if (!query.get('nocache') && !DISABLE_CACHE) {
+    cacheKey = new Request(cacheUrl(url, feedId));
+    const cached = await caches.default.match(cacheKey);
+    if (cached) return notModified(req, cached) || cached;
+  }
+
+  // Cache hits are cheap; only requests that fetch upstream count
+  await rateLimit(req, env);
+
+  let res;
+  let failed = [];
+  // For debugging: return the converted HTML from JSON
+  if (query.get('mirror')) {
+    const upstream = await fetchUpstream(params.url, params, env);
+    if (!isJsonResponse(upstream)) {
+      // Don't use me as a proxy for arbitrary sites
+      throw http(501, 'The "mirror" option only supports JSON pages.');
+    }
+
+    res = await jsonToHtml(upstream);
+  } else {
+    const historyKey = params.history ? feedId || await sha256(canonicalQuery(query)) : undefined;
+    const result = await feedItems({ params, env, ctx, historyKey, saved: !!feedId });
+    const health = feedId && params.healthAlert ? await getStore(env).get(`health:${feedId}`) : undefined;
+    const items = withHealthAlert(result.items, health, params);
+    failed = result.failed;
+
+    // Saved feeds are WebSub topics; 'self' is what subscribers subscribe to
+    const links = feedId
+      ? { self: savedFeedUrl(url.origin, feedId, url.searchParams.get("format")), hub: `${url.origin}/hub` }
+      : { self: url.toString() };
+
+    const { type, build } = FORMATS[params.format];
+    const etag = await itemsEtag(items, params);
+
+    res = new Response(build({ params, items, links }), {
+      headers: {
+        "Content-Type": type, //
+        "Cache-Control": `public, max-age=${params.ttl}`,
+        "ETag": etag,
+      },
+    });
+
+    if (links.hub) res.headers.set("Link", `<${links.hub}>; rel="hub", <${links.self}>; rel="self"`);
+
+    // Saved feeds only; ad-hoc feeds would need a KV write per distinct query
+    if (feedId) res.headers.set("Last-Modified", await lastChanged(getStore(env), ctx, feedId, params.format, etag));
+
+    // Partial results: say which sources failed; don't cache them
+    if (failed.length) {
+      res.headers.set("X-Failed-Sources", failed.map(r => r.src.url).join(", "));
+      res.headers.set("Cache-Control", "no-store");
+    }
+  }
+
+  if (cacheKey && !failed.length) {
+    ctx.waitUntil(caches.default.put(cacheKey, res.clone()));
+  }
+
+  return notModified(req, res) || res;
+}
+
+// Items of a feed (one source or merged), with history when enabled;
+// 'failed' lists merged sources that failed (see mergeSources()).
+// 'stats' (health checks) is filled with counts of the scraped items.
+// 'saved' feeds store upstream validators (see loadItems()).
+async function feedItems({ params, env, ctx, historyKey, stats, saved }) {
+  let items;
+  let failed = [];
+  if (params.sources) {
+    const merged = await mergeSources(params, env, { ctx, saved });
+    items = merged.items;
+    failed = merged.results.filter(r => r.error);
+  } else {
+    items = await loadItems(params, env, { ctx, saved, stats });
+  }
+
+  if (stats) Object.assign(stats, itemStats(items, params), params.sources && { failedSources: failed.length });
+
+  if (params.history) {
+    items = await mergeHistory({ env, ctx, key: historyKey, items, params, saved });
+  }
+
+  return { items, failed };
+}
+
+// Same items (and output options) -> same tag; build time doesn't count
+async function itemsEtag(items, params) {
+  const data = items.map(({ _text, ...rest }) => rest);
+  return `"${(await sha256(JSON.stringify([params.format, params.ttl, data]))).slice(0, 32)}"`;
+}
+
+// When the ETag of a saved feed (per format) last changed, as an HTTP date.
+// Item dates can't tell: a new item may be dated before the newest one (same
+// day, history, relative dates). Without a record (new, or expired), now.
+async function lastChanged(store, ctx, feedId, format, etag) {
+  const key = `changed:${feedId}:${format}`;
+  const previous = await store.get(key);
+  if (previous?.etag === etag) return previous.at;
+
+  const at = new Date().toUTCString();
+  // Best effort, like stored validators (see loadItems())
+  ctx.waitUntil(store.put(key, { etag, at }, VALIDATOR_TTL)
+    .catch(e => console.log(`Storing change time failed: ${feedId}; ${e.message}`)));
+  return at;
+}
+
+// 304 when the client's copy is current; If-None-Match wins over If-Modified-Since
+function notModified(req, res) {
+  const etag = res.headers.get("ETag");
+  const lastModified = res.headers.get("Last-Modified");
+  const ifNoneMatch = req.headers.get("If-None-Match");
+  const ifModifiedSince = Date.parse(req.headers.get("If-Modified-Since") || "");
+
+  let fresh;
+  if (ifNoneMatch) {
+    // Weak comparison; W/ prefixes are ignored
+    const tags = ifNoneMatch.split(",").map(tag => tag.trim().replace(/^W\//, ""));
+    fresh = !!etag && (tags.includes("*") || tags.includes(etag));
+  } else {
+    fresh = !!lastModified && !isNaN(ifModifiedSince) && Date.parse(lastModified) <= ifModifiedSince;
+  }
+
+  if (!fresh) return undefined;
+
+  const headers = new Headers();
+  for (const name of ["ETag", "Last-Modified", "Cache-Control"]) {
+    if (res.headers.has(name)) headers.set(name, res.headers.get(name));
+  }
+
+  return new Response(null, { status: 304, headers });
+}
+
+async function fetchUpstream(url, params, env) {
+  const upstream = await requestUpstream(url, params, env);
+  if (!upstream.ok) throw http(502, `Upstream ${upstream.status}`);
+  return upstream;
+}
+
+// One source: fetch, extract (all pages; transformed and filtered per item), and fetch article content.
+// For 'saved' feeds, the first page is fetched conditionally when its
+// validators (ETag, Last-Modified) are stored; a 304 reuses the items of that
+// last fetch. Ad-hoc feeds don't store them (one KV write per fetch otherwise).
+// Merged sources pass a shared 'budget' and fetch article content later.
+async function loadItems(params, env, { ctx, saved, stats, budget = feedBudget(), contents = true } = {}) {
+  const store = getStore(env);
+  // Items stored without content (merged sources) are kept apart
+  const key = `upstream:${await sha256(params.signature)}${params.content && !contents ? ":nocontent" : ""}`;
+  const conditional = saved && !params.render;
+  const validators = conditional ? await store.get(key) : undefined;
+
+  let request = params;
+  if (validators) {
+    const headers = { ...params.headers };
+    if (validators.etag) headers["If-None-Match"] = validators.etag;
+    if (validators.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+    request = { ...params, headers };
+  }
+
+  const upstream = await requestPage(params.url, request, env);
+  if (stats) stats.status = upstream.status;
+  if (validators && upstream.status === 304) return validators.items;
+  if (!upstream.ok) throw http(502, `Upstream ${upstream.status}`);
+
+  const etag = upstream.headers.get("ETag");
+  const lastModified = upstream.headers.get("Last-Modified");
+
+  const items = await collectItems(upstream, params, env, undefined, budget);
+  if (params.content && contents) await fetchContents(items, params, env, budget);
+
+  if (conditional && (etag || lastModified)) {
+    // Best effort; a failed write (e.g., KV quota) doesn't fail the feed
+    const write = store.put(key, { etag, lastModified, items }, VALIDATOR_TTL)
+      .catch(e => console.log(`Storing validators failed: ${params.url}; ${e.message}`));
+    if (ctx) ctx.waitUntil(write);
+    else await write;
+  }
+
+  return items;
+}
+
+// Merge mode: sources load in parallel, each with its own params, sharing
+// one page and article budget (see feedBudget()); items are labeled with
+// their source, de-duplicated by link, transformed and filtered by the
+// top-level rules, sorted (newest first; undated last), and limited. Article
+// content is fetched for the items that are left. Failed sources are returned
+// with an 'error' in 'results'; only if all fail does the feed fail.
+async function mergeSources(params, env, options) {
+  const budget = feedBudget();
+  const results = await Promise.all(params.sources.map(async src => {
+    try {
+      const items = await loadItems(src, env, { ...options, budget, contents: false });
+      const source = { name: src.name, url: src.url };
+      for (const item of items) item.source = source;
+      return { src, items };
+    } catch (e) {
+      return { src, items: [], error: e.message };
+    }
+  }));
+
+  if (results.every(r => r.error)) {
+    throw http(502, `All sources failed: ${results.map(r => `${r.src.url} (${r.error})`).join("; ")}`);
+  }
+
+  const seen = new Set();
+  const unique = results.flatMap(r => r.items).filter(item => {
+    const key = item.link || `${item.source.url}#${item.title}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const items = transformItems(unique, params.transforms)
+    .filter(item => !failedFilter(item, params.filters))
+    // ISO 8601 strings sort by time
+    .sort((a, b) => (b.pubDate || "").localeCompare(a.pubDate || ""))
+    .slice(0, params.limit);
+
+  // With each source's selector and headers; one source at a time
+  for (const r of results) {
+    if (!r.src.content) continue;
+    const own = new Set(r.items);
+    await fetchContents(items.filter(item => own.has(item)), r.src, env, budget);
+  }
+
+  return { items, results };
+}
+
+// List pages (not articles): like fetchUpstream(), but rendered in a
+// headless browser with 'render'; see getRenderer()
+async function fetchPage(url, params, env) {
+  const upstream = await requestPage(url, params, env);
+  if (!upstream.ok) throw http(502, `Upstream ${upstream.status}`);
+  return upstream;
+}
+
+// Rendered pages: redirects are resolved here first, each hop checked like in
+// requestUpstream(), and the final URL is rendered. The browser binding also
+// checks the browser's own requests (redirects, resources; see 'check');
+// RENDER_URL can't, and needs an explicit opt-in (see getRenderer()).
+async function requestPage(url, params, env) {
+  if (!params.render) return requestUpstream(url, params, env);
+  const target = await resolveRedirects(url, params, env);
+  return getRenderer(env).render(target, { headers: params.headers, waitFor: params.waitFor, check: next => checkUrl(next, env) });
+}
+
+// Final URL after redirects (up to MAX_REDIRECTS); each hop must pass the URL
+// policy. For renderers, which would follow redirects unchecked.
+async function resolveRedirects(url, params, env) {
+  for (let hops = 0; ; hops++) {
+    checkUrl(url, env);
+    const res = await sendUpstream(url, params.headers);
+    await res.body?.cancel();
+
+    const location = res.headers.get("Location");
+    if (res.status < 300 || res.status >= 400 || !location) return url;
+    if (hops >= MAX_REDIRECTS) throw http(502, `Too many redirects (over ${MAX_REDIRECTS}).`);
+
+    url = new URL(location, url).toString();
+  }
+}
+
+// Like fetchUpstream(), but any HTTP status is returned as is. Redirects are
+// followed here: each hop must pass the URL policy (see checkUrl()), and
+// headers with secrets are dropped once a hop leaves their hosts (for good).
+async function requestUpstream(url, params, env) {
+  let headers = params.headers;
+  for (let hops = 0; ; hops++) {
+    checkUrl(url, env);
+    if (params.secretHeaders && headers === params.headers && !secretsAllowed(url, params)) {
+      headers = Object.fromEntries(Object.entries(headers).filter(([name]) => !params.secretHeaders.includes(name)));
+    }
+
+    const res = await sendUpstream(url, headers);
+    const location = res.headers.get("Location");
+    if (res.status < 300 || res.status >= 400 || !location) return decodeBody(limitSize(res, url), params.charset);
+    if (hops >= MAX_REDIRECTS) throw http(502, `Too many redirects (over ${MAX_REDIRECTS}).`);
+
+    url = new URL(location, url).toString();
+  }
+}
+
+async function sendUpstream(url, headers) {
+  // NOTE: network wait not counted in CPU time
+  return fetch(url, {
+    redirect: "manual", //
+    headers: {
+      'User-Agent': 'RSSible/1.0 (+https://rssible.hadid.dev/)', //
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8', //
+      ...headers // user-provided headers override defaults
+    },
+  }).catch((error) => {
+    throw http(502, `Page fetch error: ${error.message}`);
+  });
+}
+
+// Bodies over MAX_UPSTREAM_BYTES fail: early when declared, otherwise once
+// the stream goes over
+function limitSize(res, url) {
+  const tooLarge = () => http(502, `Upstream response too large (over ${MAX_UPSTREAM_BYTES / 1e6} MB).`);
+  if (Number(res.headers.get("Content-Length")) > MAX_UPSTREAM_BYTES) throw tooLarge();
+  if (!res.body) return res;
+
+  let total = 0;
+  const body = res.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      total += chunk.byteLength;
+      if (total > MAX_UPSTREAM_BYTES) controller.error(tooLarge());
+      else controller.enqueue(chunk);
+    },
+  }));
+
+  const limited = new Response(body, res);
+  // Base URL for relative links (see extractContent()); new Response() drops it
+  Object.defineProperty(limited, "url", { value: url });
+  return limited;
+}
+
+// Errors while reading an upstream body (size limit, dropped connection) lose
+// their status in HTMLRewriter; they're upstream failures either way
+function upstreamError(e) {
+  return e?.status ? e : http(502, e?.message || String(e));
+}
+
+// rewriter.transform(), except that an error reading 'res' (e.g., the size
+// limit) isn't passed to HTMLRewriter, which would also report it as
+// uncaught. Its input ends there instead, and the output fails once read up
+// to there.
+function rewrite(rewriter, res) {
+  if (!res.body) return rewriter.transform(res);
+
+  let error;
+  const input = res.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await input.read();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (e) {
+        error = e;
+        controller.close();
+      }
+    },
+    cancel: reason => input.cancel(reason),
+  });
+
+  const output = rewriter.transform(new Response(body, res)).body.getReader();
+  return new Response(new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await output.read();
+      if (!done) controller.enqueue(value);
+      else if (error) controller.error(error);
+      else controller.close();
+    },
+    cancel: reason => output.cancel(reason),
+  }), res);
+}
+
+// Text bodies are transcoded to UTF-8 (streamed), so selectors, filters and
+// feeds see proper text. The charset is, by precedence: 'override' (the
+// 'charset' param), a BOM, the Content-Type header, then <meta charset> or
+// http-equiv (HTML) and <?xml encoding?> in the first 1024 bytes; UTF-8 if none.
+async function decodeBody(res, override) {
+  const type = res.headers.get("content-type") || "";
+  if (!res.body || (type && !/html|xml|json|text\//i.test(type))) return res;
+
+  // Peek at the head; it's put back in front of the rest
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < 1024) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+
+  const head = new Uint8Array(size);
+  chunks.reduce((offset, chunk) => (head.set(chunk, offset), offset + chunk.byteLength), 0);
+
+  const label = override || bomCharset(head) || contentTypeCharset(type) || sniffCharset(head);
+  let encoding = "utf-8";
+  try {
+    if (label) encoding = new TextDecoder(label).encoding;
+  } catch {} // unknown label; assume UTF-8
+
+  let body = new ReadableStream({
+    start: controller => void (size && controller.enqueue(head)),
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel: reason => reader.cancel(reason),
+  });
+
+  if (encoding !== "utf-8") {
+    body = body.pipeThrough(new TextDecoderStream(encoding)).pipeThrough(new TextEncoderStream());
+  }
+
+  const headers = new Headers(res.headers);
+  headers.set("Content-Type", `${type.split(";")[0].trim() || "text/html"}; charset=utf-8`);
+  headers.delete("Content-Length");
+
+  const decoded = new Response(body, { status: res.status, statusText: res.statusText, headers });
+  // URL: see limitSize(); the source charset is reported by /debug
+  Object.defineProperties(decoded, { url: { value: res.url }, charset: { value: encoding } });
+  return decoded;
+}
+
+function bomCharset(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return "utf-8";
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be";
+  return undefined;
+}
+
+function contentTypeCharset(type) {
+  return type.match(/;\s*charset\s*=\s*"?([^";\s]+)/i)?.[1];
+}
+
+// <meta charset="...">, <meta http-equiv="Content-Type" content="...; charset=...">,
+// or <?xml ... encoding="..."?>; read as Latin-1 (labels are ASCII)
+function sniffCharset(bytes) {
+  const head = new TextDecoder("latin1").decode(bytes.subarray(0, 1024));
+  const xml = head.match(/^\s*<\?xml[^>]*\sencoding\s*=\s*["']([^"']+)["']/i);
+  if (xml) return xml[1];
+
+  for (const [meta] of head.matchAll(/<meta\s[^>]*>/gi)) {
+    const charset = meta.match(/[\s;"']charset\s*=\s*["']?([^"'\s/>;]+)/i);
+    if (charset) return charset[1];
+  }
+
+  return undefined;
+}
+
+// URL policy for everything fetched on a caller's behalf (pages, hub
+// callbacks, webhooks): http(s) only; no loopback, private, link-local, or
+// local-only names, unless listed in ALLOWED_PRIVATE_HOSTS; BLOCKED_HOSTS
+// are refused; with ALLOWED_HOSTS, nothing else is fetched. Host lists are
+// comma-separated; "*.example.com" matches subdomains. Only URLs are checked
+// (no DNS lookups); a public name pointing at a private address gets through.
+function checkUrl(url, env) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw http(400, `Invalid URL '${url}'.`);
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) throw http(400, `Only http(s) URLs are allowed; got '${parsed.protocol}'.`);
+
+  // IPv6 literals come in brackets
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+  const listed = name => hostList(env?.[name]).some(pattern => hostMatches(host, pattern));
+
+  if (listed("BLOCKED_HOSTS")) throw http(403, `Host '${host}' is blocked.`);
+  if (env?.ALLOWED_HOSTS && !listed("ALLOWED_HOSTS")) throw http(403, `Host '${host}' isn't allowed.`);
+  if (isPrivateHost(host) && !listed("ALLOWED_PRIVATE_HOSTS")) throw http(403, `Host '${host}' is a private address.`);
+}
+
+function hostList(value) {
+  return (value || "").split(/[\s,]+/).map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+// Exact, or "*.example.com" for subdomains
+function hostMatches(hostname, pattern) {
+  return pattern.startsWith("*.") ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+}
+
+// Names local by convention (incl. single-label, e.g., Docker services) and
+// IP literals in loopback, private, link-local, CGNAT, and reserved ranges;
+// IPv4-mapped, IPv4-compatible and NAT64 IPv6 are checked as IPv4. The URL parser normalizes IPv4
+// spellings (e.g., 2130706433 or 0x7f.1 -> 127.0.0.1).
+function isPrivateHost(host) {
+  if (!host.includes(".") && !host.includes(":")) return true;
+  if (/(^|\.)(localhost|local|internal|lan|home\.arpa)$/.test(host)) return true;
+
+  // IPv4 embedded in IPv6: mapped (::ffff:), compatible (::), and NAT64 (64:ff9b::)
+  const embedded = host.match(/^(?:::ffff:|::|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (embedded) {
+    const [hi, lo] = [parseInt(embedded[2], 16), parseInt(embedded[3], 16)];
+    host = embedded[1] || [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+  }
+
+  const v4 = host.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (v4) {
+    const [a, b] = [Number(v4[1]), Number(v4[2])];
+    return a === 0 || a === 10 || a === 127 || a >= 224 || // this network, private, loopback, multicast/reserved
+      (a === 100 && b >= 64 && b <= 127) || // CGNAT
+      (a === 169 && b === 254) || // link-local (cloud metadata)
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)); // benchmarking
+  }
+
+  if (host.includes(":")) {
+    return host === "::" || host === "::1" ||
+      /^f[cd][0-9a-f]{2}:/.test(host) || // unique local
+      /^fe[89ab][0-9a-f]:/.test(host) || // link-local
+      /^ff[0-9a-f]{2}:/.test(host); // multicast
+  }
+
+  return false;
+}
+
+// Outgoing requests to caller-given URLs other than pages (hub callbacks,
+// webhooks): same URL policy; redirects aren't followed
+async function guardedFetch(url, init, env) {
+  checkUrl(url, env);
+  return fetch(url, { ...init, redirect: "manual" });
+}
+
+// Per-client limit on requests that fetch upstream; 429 when over. Uses the
+// RATE_LIMITER binding (Cloudflare rate limiting; see wrangler.toml) when
+// configured, otherwise a per-isolate fixed window of RATE_LIMIT per minute.
+// Clients are told apart by CF-Connecting-IP (one bucket without it).
+async function rateLimit(req, env) {
+  const client = req.headers.get("CF-Connecting-IP") || "unknown";
+
+  let allowed;
+  if (env?.RATE_LIMITER) {
+    allowed = (await env.RATE_LIMITER.limit({ key: client })).success;
+  } else {
+    const limit = Number(env?.RATE_LIMIT) || RATE_LIMIT;
+    const window = Math.floor(Date.now() / 60_000);
+    const entry = rateWindows.get(client);
+    if (entry?.window === window) {
+      allowed = ++entry.count <= limit;
+    } else {
+      // Bounded: past windows are dropped; if that's not enough, all counts reset
+      if (rateWindows.size >= 10_000) {
+        for (const [key, other] of rateWindows) if (other.window !== window) rateWindows.delete(key);
+        if (rateWindows.size >= 10_000) rateWindows.clear();
+      }
+      rateWindows.set(client, { window, count: 1 });
+      allowed = true;
+    }
+  }
+
+  if (!allowed) {
+    const err = http(429, "Too many requests; try again in a minute.");
+    err.headers = { "Retry-After": "60" };
+    throw err;
+  }
+}
+
+// Per-isolate; client -> { window (minute), count }
+const rateWindows = new Map();
+
+function isJsonResponse(res) {
+  const type = res.headers.get('content-type') || '';
+  return type.includes('application/json');
+}
+
+// text/xml, application/rss+xml, application/atom+xml, ...
+function isXmlResponse(res) {
+  const type = res.headers.get('content-type') || '';
+  return /xml/i.test(type);
+}
+
+// Upstream requests beyond each source's first page, per feed; merged
+// sources share one (see mergeSources())
+function feedBudget() {
+  return { pages: MAX_PAGES - 1, articles: MAX_ARTICLES };
+}
+
+// Follow "next page" links until the limit is met, up to MAX_PAGES.
+// Stops on a repeated URL (loop) or a failed page; keeps what it has.
+async function collectItems(upstream, params, env, report, budget = feedBudget()) {
+  const items = [];
+  const visited = new Set([params.url]);
+  let pageUrl = params.url;
+
+  for (let n = 1; ; n++) {
+    const page = { url: pageUrl }; // filled with next link/cursor, if any
+    await extractPage(upstream, params, items, page, report);
+    if (report) report.read.pages = n;
+    if (!params.next || items.length >= params.limit || n >= MAX_PAGES) break;
+    if (budget.pages <= 0) {
+      if (report) warn(report, "No more pages; the feed's page budget is used up");
+      break;
+    }
+
+    const nextUrl = resolveNext(page, pageUrl, params);
+    if (!nextUrl || visited.has(nextUrl)) {
+      if (report) warn(report, nextUrl ? `Next page loops back to ${nextUrl}` : "No next page found");
+      break;
+    }
+
+    visited.add(nextUrl);
+    budget.pages--;
+
+    try {
+      upstream = await fetchPage(nextUrl, params, env);
+    } catch (e) {
+      if (report) warn(report, `Next page failed (${nextUrl}): ${e.message}`);
+      break;
+    }
+
+    pageUrl = nextUrl;
+  }
+
+  return items;
+}
+
+// RSS/Atom/sitemap XML is parsed natively (see extractFeedItems()); JSON is
+// either queried with paths (see extractJsonItems()) or converted to HTML
+// for CSS selectors; anything else is parsed as HTML
+async function extractPage(upstream, params, items, page, report) {
+  if (isXmlResponse(upstream)) {
+    const text = await upstream.text();
+    if (feedKind(text)) {
+      if (report) report.read.bytes += new TextEncoder().encode(text).byteLength;
+      return extractFeedItems(text, params, items, page, report);
+    }
+
+    upstream = new Response(text, upstream); // other XML (e.g., XHTML)
+  }
+
+  if (!params.item) throw http(400, "Query param '_item' is required, unless the source is an RSS/Atom feed or a sitemap.");
+
+  if (!isJsonResponse(upstream)) {
+    if (params.paths) throw http(400, "JSONPath selectors ('_item' starting with '$') need a JSON source.");
+    return extractItems(upstream, params, items, page, report);
+  }
+
+  if (!params.paths) return extractItems(await jsonToHtml(upstream), params, items, page, report);
+
+  const text = await upstream.text();
+  if (report) report.read.bytes += new TextEncoder().encode(text).byteLength;
+  return extractJsonItems(parseJson(text), params, items, page, report);
+}
+
+// href wins; otherwise, the text is a cursor/page for the 'cursor' query param
+function resolveNext(page, pageUrl, params) {
+  try {
+    if (page.href) return new URL(page.href, pageUrl).toString();
+    if (!page.text || !params.cursor) return undefined;
+
+    const url = new URL(pageUrl);
+    url.searchParams.set(params.cursor, page.text);
+    return url.toString();
+  } catch {
+    return undefined; // invalid URL
+  }
+}
+
+// Fetch linked articles (bounded) and attach sanitized HTML as 'content'.
+// Best effort: failed fetches leave the item as is.
+async function fetchContents(items, params, env, budget = feedBudget()) {
+  const { origin } = new URL(params.url);
+  const targets = items.filter(it => it.link).slice(0, budget.articles);
+  budget.articles -= targets.length;
+
+  await mapLimit(targets, ARTICLE_CONCURRENCY, async (item) => {
+    try {
+      // Custom headers (e.g., cookies) are only sent to the source origin
+      const sameOrigin = new URL(item.link).origin === origin;
+      const upstream = await fetchUpstream(item.link, sameOrigin ? params : { headers: {} }, env);
+      item.content = await extractContent(upstream, params.content) || undefined;
+    } catch (e) {
+      console.log(`Article fetch failed: ${item.link}; ${e.message}`);
+    }
+  });
+}
+
+// Inner HTML of all 'selector' matches; sanitized
+async function extractContent(upstream, selector, baseUrl = upstream.url) {
+  let out = "";
+  const rewriter = new HTMLRewriter();
+  captureHtml(rewriter, selector, baseUrl, trackHidden(rewriter, selector), chunk => (out += chunk));
+
+  const reader = rewrite(rewriter, upstream).body.getReader();
+  while (true) {
+    const { done } = await reader.read().catch(e => Promise.reject(upstreamError(e)));
+    if (done || out.length >= MAX_CONTENT_LENGTH) break;
+  }
+
+  return out.trim();
+}
+
+// Run 'fn' over 'list' with at most 'limit' calls in flight
+async function mapLimit(list, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      await fn(list[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+}
+
+// Same pipeline as /feed, but returns a JSON report explaining the result.
+// No caching and no history writes; upstream errors are reported, not thrown.
+async function handleDebug(req, env) {
+  const params = parseParams(new URL(req.url).searchParams);
+  await resolveSecrets(params, env, req);
+  await rateLimit(req, env);
+  const report = {
+    url: params.url,
+    upstream: null,
+    read: { bytes: 0, stoppedEarly: false, pages: 0 },
+    matches: { item: 0, fields: {} },
+    rejected: [],
+    warnings: [],
+    items: [],
+  };
+
+  // Merged feeds: per-source counts and errors only; debug sources one by one
+  if (params.sources) {
+    try {
+      const { items, results } = await mergeSources(params, env);
+      report.sources = results.map(r => ({ name: r.src.name, url: r.src.url, items: r.items.length, error: r.error }));
+      report.items = items.map(({ _text, ...rest }) => rest);
+    } catch (e) {
+      report.error = e.message;
+    }
+
+    return json(report, 200, 2);
+  }
+
+  for (const name of REPORT_FIELDS) {
+    if (params[name]) report.matches.fields[name] = 0;
+  }
+
+  let upstream;
+  try {
+    upstream = await requestPage(params.url, params, env);
+  } catch (e) {
+    report.error = e.message;
+    return json(report, 200, 2);
+  }
+
+  const contentType = upstream.headers.get("content-type") || "";
+  report.upstream = { status: upstream.status, contentType, charset: upstream.charset, url: upstream.url || params.url, rendered: params.render };
+  if (!upstream.ok) {
+    report.error = `Upstream ${upstream.status}`;
+    return json(report, 200, 2);
+  }
+
+  const isJson = isJsonResponse(upstream);
+  if (!isJson && params.paths) {
+    report.error = `JSONPath selectors need a JSON source; got '${contentType}'`;
+    return json(report, 200, 2);
+  }
+
+  if (!isJson && !/html|xml/i.test(contentType)) {
+    warn(report, `Unexpected content type '${contentType}'; parsed as HTML`);
+  }
+
+  let items;
+  try {
+    items = await collectItems(upstream, params, env, report);
+  } catch (e) {
+    report.error = e.message;
+    return json(report, 200, 2);
+  }
+
+  if (params.content) await fetchContents(items, params, env);
+
+  if (!report.matches.item) {
+    warn(report, params.item ? `The item selector '${params.item}' matched nothing` : "No items in the source");
+  } else {
+    for (const [name, count] of Object.entries(report.matches.fields)) {
+      if (!count) warn(report, `No '${name}' value in any of ${report.matches.item} item(s)`);
+    }
+  }
+
+  if (params.content) {
+    const missing = items.filter(it => it.link && !it.content).length;
+    if (missing) warn(report, `No article content for ${missing} item(s)`);
+  }
+
+  report.items = items.map(({ _text, ...rest }) => rest);
+  return json(report, 200, 2);
+}
+
+// Sanitized copy of a page for the app's selector picker (iframe):
+// scripts, frames, and external resources stripped; event handlers removed.
+// CSP sandboxes it even when opened directly; not a general-purpose proxy.
+async function handleSnapshot(req, env) {
+  const params = parseParams(new URL(req.url).searchParams, true);
+  if (!params.url) throw http(400, "Query param 'url' is required.");
+  await resolveSecrets(params, env, req);
+  await rateLimit(req, env);
+
+  const upstream = await fetchUpstream(params.url, params, env);
+  const isJson = isJsonResponse(upstream);
+  const source = isJson ? await jsonToHtml(upstream, params) : upstream;
+
+  const rewriter = new HTMLRewriter()
+    .on(SNAPSHOT_DROP, {
+      element: elem => void elem.remove(),
+    })
+    .on("*", {
+      element(elem) {
+        for (const [name] of [...elem.attributes]) {
+          const value = elem.getAttribute(name) || "";
+          const unsafe = name.startsWith("on") || SNAPSHOT_DROP_ATTRS.has(name) || /^\s*javascript:/i.test(value);
+          if (unsafe) elem.removeAttribute(name);
+        }
+      },
+    });
+
+  // Re-typed; the JSON mirror is text/plain. Read in full, so an oversized
+  // page fails with 502 rather than a cut-off 200
+  const html = new Response(source.body, { headers: { "Content-Type": "text/html; charset=utf-8" } });
+  const body = await rewrite(rewriter, html).arrayBuffer().catch(e => Promise.reject(upstreamError(e)));
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/html; charset=utf-8", //
+      "Content-Security-Policy": SNAPSHOT_CSP, //
+      "X-Content-Type-Options": "nosniff", //
+      "Referrer-Policy": "no-referrer", //
+      "X-Robots-Tag": "noindex", //
+      "Cache-Control": `public, max-age=${CACHE_TTL}`,
+    },
+  });
+}
+
+const SNAPSHOT_DROP = "script, noscript, iframe, frame, frameset, object, embed, applet, link, base, meta[http-equiv]";
+const SNAPSHOT_DROP_ATTRS = new Set(["src", "srcset", "poster", "background", "action", "formaction", "ping"]);
+const SNAPSHOT_CSP = "sandbox allow-same-origin; default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+
+// Fields counted per item in debug reports
+const REPORT_FIELDS = ["title", "link", "desc", "date", "image", "enclosure"];
+
+// Debug stats for one '_item' match (before the limit is reached)
+function recordItem(report, item, failed, params) {
+  report.matches.item++;
+  for (const name of REPORT_FIELDS) {
+    const value = item[name === "date" ? "pubDate" : name];
+    if (params[name] && value) report.matches.fields[name]++;
+  }
+
+  const summary = { title: item.title, link: item.link };
+  if (!item.title && !item.link) {
+    report.rejected.push({ ...summary, reason: "No title or link" });
+  } else if (failed) {
+    const rules = failed.map(rule => rule.source).join(" or ");
+    report.rejected.push({ ...summary, filter: failed[0].line, reason: `Filter on line ${failed[0].line} doesn't match: ${rules}` });
+  }
+
+  if (item.link && !/^https?:\/\//i.test(item.link)) {
+    warn(report, `Relative link (not resolved): ${item.link}`);
+  }
+}
+
+// Deduplicated, capped
+function warn(report, message) {
+  if (report.warnings.length >= MAX_WARNINGS || report.warnings.includes(message)) return;
+  report.warnings.push(message);
+}
+
+// Serve a saved definition; only output-related params can be overridden
+async function handleSavedFeed(req, env, ctx, id) {
+  const record = await getStore(env).get(`feed:${id}`);
+  if (!record) throw http(404, "Feed not found.");
+
+  const query = definitionQuery(record.def);
+  const overrides = new URL(req.url).searchParams;
+  for (const key of ["format", "nocache"]) {
+    if (overrides.has(key)) query.set(key, overrides.get(key));
+  }
+
+  return handleFeed(req, env, ctx, query, id, record);
+}
+
+// /f/:id, plus the format when requested explicitly
+function savedFeedUrl(origin, id, format) {
+  return `${origin}/f/${id}` + (format ? `?format=${encodeURIComponent(format)}` : "");
+}
+
+// WebSub hub (https://www.w3.org/TR/websub/); topics are saved feeds only.
+// POST /hub (form-encoded): hub.mode (subscribe, unsubscribe), hub.topic,
+// hub.callback, hub.lease_seconds, hub.secret. Accepted with 202; intent
+// is verified in the background (GET to the callback echoing hub.challenge).
+async function handleHub(req, env, ctx) {
+  if (req.method !== "POST") throw http(405, "Method not allowed; POST a form to subscribe.");
+  // Each request makes an outgoing verification request (see verifyIntent())
+  await rateLimit(req, env);
+
+  const origin = new URL(req.url).origin;
+  const form = await req.formData().catch(() => {
+    throw http(400, "Expected a form-encoded body.");
+  });
+
+  const mode = form.get("hub.mode");
+  const callback = form.get("hub.callback")?.trim();
+  const topicUrl = form.get("hub.topic")?.trim();
+  const secret = form.get("hub.secret") || undefined;
+
+  if (!["subscribe", "unsubscribe"].includes(mode)) throw http(400, "Invalid 'hub.mode'; use subscribe or unsubscribe.");
+  if (!/^https?:\/\//i.test(callback || "")) throw http(400, "Invalid 'hub.callback'; an http(s) URL is required.");
+  checkUrl(callback, env);
+  if (secret && new TextEncoder().encode(secret).byteLength >= 200) throw http(400, "'hub.secret' must be under 200 bytes.");
+
+  const store = getStore(env);
+  const topic = parseTopic(topicUrl, origin);
+  if (!topic || !(await store.get(`feed:${topic.id}`))) throw http(400, "Unknown 'hub.topic'; only saved feeds (/f/:id) are supported.");
+
+  const leaseRaw = Number(form.get("hub.lease_seconds") || DEFAULT_LEASE);
+  const lease = Math.min(Math.max(isFinite(leaseRaw) ? Math.round(leaseRaw) : DEFAULT_LEASE, 3600), MAX_LEASE);
+
+  const sub = { topic: savedFeedUrl(origin, topic.id, topic.format), feedId: topic.id, format: topic.format, callback, secret, lease };
+
+  // Each one is a POST per change (see publishFeed()); renewals don't count
+  if (mode === "subscribe" && await subscriptionsFull(store, sub)) {
+    throw http(403, `Too many subscriptions to this feed; up to ${MAX_SUBSCRIPTIONS} are supported.`);
+  }
+  ctx.waitUntil(verifyIntent(env, mode, sub).catch(e => console.log(`WebSub verification failed: ${callback}; ${e.message}`)));
+  return new Response(null, { status: 202 });
+}
+
+// Saved feed ID and format (if given) of a topic URL on this origin, or undefined
+function parseTopic(topic, origin) {
+  let url;
+  try {
+    url = new URL(topic);
+  } catch {
+    return undefined;
+  }
+
+  const match = url.origin === origin && url.pathname.match(/^\/f\/([A-Za-z0-9]+)$/);
+  const format = url.searchParams.get("format")?.toLowerCase() || undefined;
+  if (!match || (format && !FORMATS[format])) return undefined;
+  return { id: match[1], format };
+}
+
+// Subscriptions are stored (or deleted) only once the subscriber confirms
+async function verifyIntent(env, mode, sub) {
+  const url = new URL(sub.callback);
+  const challenge = randomString(32);
+  url.searchParams.set("hub.mode", mode);
+  url.searchParams.set("hub.topic", sub.topic);
+  url.searchParams.set("hub.challenge", challenge);
+  if (mode === "subscribe") url.searchParams.set("hub.lease_seconds", String(sub.lease));
+
+  const res = await guardedFetch(url, { headers: { "User-Agent": "RSSible (WebSub hub)" } }, env);
+  const body = await res.text();
+  if (!res.ok || body.trim() !== challenge) throw new Error(`callback answered ${res.status} without the challenge`);
+
+  const store = getStore(env);
+  const key = await subscriptionKey(sub);
+  if (mode === "unsubscribe") return store.delete(key);
+
+  // Checked again; others may have subscribed meanwhile
+  if (await subscriptionsFull(store, sub)) throw new Error(`the feed has ${MAX_SUBSCRIPTIONS} subscriptions already`);
+
+  const expires = new Date(Date.now() + sub.lease * 1000).toISOString();
+  await store.put(key, { ...sub, expires }, sub.lease);
+}
+
+// One key per callback and topic (feed and format), under the feed's prefix
+// ('sub:<id>:'), so a feed's subscriptions are listed without reading others'
+async function subscriptionKey(sub) {
+  return `sub:${sub.feedId}:${await sha256(sub.callback + "\n" + sub.topic)}`;
+}
+
+// Whether 'sub' would exceed MAX_SUBSCRIPTIONS; renewals don't
+async function subscriptionsFull(store, sub) {
+  const key = await subscriptionKey(sub);
+  const keys = await store.list(`sub:${sub.feedId}:`);
+  return !keys.includes(key) && keys.length >= MAX_SUBSCRIPTIONS;
+}
+
+// Unexpired WebSub subscriptions of a saved feed (up to MAX_SUBSCRIPTIONS;
+// concurrent subscribes may overshoot the check)
+async function feedSubscriptions(store, feedId) {
+  const subs = [];
+  for (const key of (await store.list(`sub:${feedId}:`)).slice(0, MAX_SUBSCRIPTIONS)) {
+    const sub = await store.get(key);
+    if (sub && Date.parse(sub.expires) > Date.now()) subs.push(sub);
+  }
+
+  return subs;
+}
+
+// Cron: re-scrape saved feeds; those with WebSub subscribers or notification
+// targets on each run (see publishFeed() and notifyFeed()), others hourly for
+// health checks. Bounded per run (subrequest and CPU limits): feeds are
+// visited in ID order from where the last run stopped ('refresh:cursor'),
+// up to MAX_REFRESH_FEEDS scrapes and MAX_REFRESH_VISITS feeds.
+async function refreshFeeds(env, ctx) {
+  const store = getStore(env);
+  // Keys only ('sub:<id>:<hash>'); subscriptions are read per refreshed feed
+  const subIds = new Set((await store.list("sub:")).map(key => key.split(":")[1]));
+  const notifyIds = new Set((await store.list("notify:")).map(key => key.slice("notify:".length)));
+  const feedIds = (await store.list("feed:")).map(key => key.slice("feed:".length)).sort();
+
+  // Round-robin: after the cursor first, then from the start
+  const cursor = (await store.get("refresh:cursor"))?.after;
+  const start = Math.max(cursor ? feedIds.findIndex(id => id > cursor) : 0, 0);
+  const queue = feedIds.slice(start).concat(feedIds.slice(0, start)).slice(0, MAX_REFRESH_VISITS);
+
+  let scraped = 0;
+  let last;
+  for (const id of queue) {
+    if (scraped >= MAX_REFRESH_FEEDS) break;
+    last = id;
+
+    try {
+      const record = await store.get(`feed:${id}`);
+      if (!record) continue;
+
+      // Feeds nobody is pushed to are only scraped for health checks (hourly)
+      const health = await store.get(`health:${id}`);
+      const pushed = subIds.has(id) || notifyIds.has(id);
+      if (!pushed && health && Date.now() - Date.parse(health.checked) < HEALTH_INTERVAL * 1000) continue;
+      scraped++;
+
+      const stats = { at: new Date().toISOString() };
+      const started = Date.now();
+      // Stands in for the request: secrets used this run are redacted from
+      // what's pushed (see redact())
+      const run = {};
+      let params, items;
+      try {
+        params = parseParams(definitionQuery(record.def));
+        await resolveSecrets(params, env, run, record);
+        ({ items } = await feedItems({ params, env, ctx, historyKey: id, stats, saved: true }));
+      } catch (e) {
+        stats.error = redact(run, e.message);
+      }
+
+      stats.latency = Date.now() - started;
+      const current = await recordHealth(store, id, health, stats);
+      if (!items) continue;
+
+      items = withHealthAlert(items, current, params);
+      const subs = subIds.has(id) ? await feedSubscriptions(store, id) : [];
+      if (subs.length) await publishFeed(env, id, params, items, subs, run);
+      const notify = notifyIds.has(id) && await store.get(`notify:${id}`);
+      if (notify) await notifyFeed(env, id, params, items, notify, run);
+    } catch (e) {
+      console.log(`Scheduled refresh failed: ${id}; ${e.message}`);
+    }
+  }
+
+  if (last) await store.put("refresh:cursor", { after: last });
+}
+
+// Item count and, per field, items without it: title and link, plus other
+// fields with a selector. Coverage is compared across runs (see assessHealth()).
+function itemStats(items, params) {
+  const fields = REPORT_FIELDS.filter(name => ["title", "link"].includes(name) || params[name]);
+  const missing = {};
+  for (const name of fields) {
+    missing[name] = items.filter(it => !it[name === "date" ? "pubDate" : name]).length;
+  }
+
+  return { items: items.length, missing };
+}
+
+// Adds the run (newest first) and re-assesses; an incident lasts from the
+// first unhealthy run ('since') to the next healthy one
+async function recordHealth(store, id, previous, run) {
+  const older = previous?.runs || [];
+  const { status, reasons } = assessHealth(run, older);
+  run.status = status;
+
+  const ongoing = previous && previous.status !== "ok" && status !== "ok";
+  const health = {
+    status,
+    reasons,
+    since: status === "ok" ? undefined : ongoing ? previous.since : run.at,
+    checked: run.at,
+    runs: [run, ...older].slice(0, MAX_HEALTH_RUNS),
+  };
+
+  await store.put(`health:${id}`, health);
+  return health;
+}
+
+// failing: the scrape threw (upstream error, bad definition, ...);
+// degraded: no items, or title/link found in under half as many items as
+// usual (average of the last healthy runs)
+function assessHealth(run, older) {
+  if (run.error) return { status: "failing", reasons: [run.error] };
+  if (!run.items) return { status: "degraded", reasons: ["No items"] };
+
+  const baselineRuns = older.filter(r => r.status === "ok").slice(0, HEALTH_BASELINE);
+  const coverage = (r, name) => 1 - r.missing[name] / r.items;
+  const percent = ratio => `${Math.round(ratio * 100)}%`;
+
+  const reasons = [];
+  for (const name of ["title", "link"]) {
+    if (!baselineRuns.length) break;
+
+    const baseline = baselineRuns.reduce((sum, r) => sum + coverage(r, name), 0) / baselineRuns.length;
+    const now = coverage(run, name);
+    if (baseline >= 0.5 && now < baseline / 2) {
+      reasons.push(`'${name}' found in ${percent(now)} of items; usually ${percent(baseline)}`);
+    }
+  }
+
+  return { status: reasons.length ? "degraded" : "ok", reasons };
+}
+
+// Saved feeds with 'health_alert': a synthetic item first while the feed is
+// unhealthy; its link is new per incident, so it's announced once
+function withHealthAlert(items, health, params) {
+  if (!params.healthAlert || !health || health.status === "ok") return items;
+
+  const alert = {
+    title: `This feed is broken: ${health.reasons[0]}`,
+    link: `${params.url}#rssible-health-${Date.parse(health.since)}`,
+    desc: `This feed hasn't been read as usual since ${health.since} (${health.reasons.join("; ")}). ` +
+      "The page may have changed; check its selectors.",
+    pubDate: health.since,
+  };
+
+  return [alert, ...items];
+}
+
+// When the item set changed since the last run, POST the feed to each
+// subscriber (in the subscribed format; signed with X-Hub-Signature when
+// there's a secret). The first run for a feed only records its state.
+async function publishFeed(env, id, params, items, subs, run) {
+  const store = getStore(env);
+
+  // Item identity and titles; re-parsed dates (e.g., "3 hours ago") don't count
+  const state = await sha256(JSON.stringify(items.map(it => [itemId(it, params), it.title])));
+  const previous = await store.get(`hubstate:${id}`);
+  await store.put(`hubstate:${id}`, state);
+  if (!previous || previous === state) return;
+
+  const { origin } = new URL(subs[0].topic);
+  await purgeCache(origin, id);
+
+  await mapLimit(subs, ARTICLE_CONCURRENCY, async (sub) => {
+    const format = sub.format || params.format; // topic without ?format=
+    const { type, build } = FORMATS[format];
+    const body = redact(run, build({ params: { ...params, format }, items, links: { self: sub.topic, hub: `${origin}/hub` } }));
+
+    const headers = { "Content-Type": type, "Link": `<${origin}/hub>; rel="hub", <${sub.topic}>; rel="self"` };
+    if (sub.secret) headers["X-Hub-Signature"] = `sha256=${await hmacSha256(sub.secret, body)}`;
+
+    try {
+      const res = await guardedFetch(sub.callback, { method: "POST", headers, body }, env);
+      if (!res.ok) console.log(`WebSub delivery failed: ${sub.callback}; ${res.status}`);
+    } catch (e) {
+      console.log(`WebSub delivery failed: ${sub.callback}; ${e.message}`);
+    }
+  });
+}
+
+// Notify each target of items not seen in earlier runs (the first run
+// only records them). New items queue up per target (up to MAX_PENDING)
+// and go out in one message, unless the target's hourly rate is used up or
+// delivery fails (after retries); then they wait for a later run.
+async function notifyFeed(env, id, params, items, notify, run) {
+  const store = getStore(env);
+  const stateKey = `notifystate:${id}`;
+  const state = await store.get(stateKey);
+
+  const ids = items.map(it => itemId(it, params));
+  const fresh = state ? items.filter((it, i) => !state.seen.includes(ids[i])) : [];
+  const seen = [...new Set([...ids, ...(state?.seen || [])])].slice(0, MAX_SEEN);
+
+  const queues = state?.targets || {};
+  const hourAgo = Date.now() - 3_600_000;
+  const feed = { id, url: notify.feedUrl, title: new URL(params.url).host };
+  const clean = value => value && redact(run, value); // see redact()
+
+  for (const target of notify.targets) {
+    const key = `${target.type}:${target.url || target.to}`;
+    const queue = queues[key] || { sent: [], pending: [] };
+    queues[key] = queue;
+
+    queue.pending = queue.pending
+      .concat(fresh.map(it => ({ title: clean(it.title), link: clean(it.link), desc: clean(it.desc), pubDate: it.pubDate })))
+      .slice(-MAX_PENDING);
+    queue.sent = queue.sent.filter(time => time > hourAgo);
+    if (!queue.pending.length || queue.sent.length >= (target.rate || DEFAULT_RATE)) continue;
+
+    try {
+      await retry(() => sendNotification(env, target, feed, queue.pending), NOTIFY_ATTEMPTS);
+      queue.pending = [];
+      queue.sent.push(Date.now());
+    } catch (e) {
+      console.log(`Notification failed: ${key}; ${e.message}`);
+    }
+  }
+
+  // Drop queues of removed targets
+  const keys = new Set(notify.targets.map(t => `${t.type}:${t.url || t.to}`));
+  const targets = Object.fromEntries(Object.entries(queues).filter(([key]) => keys.has(key)));
+  await store.put(stateKey, { seen, targets });
+}
+
+// Call 'fn' up to 'attempts' times; waits 1s, 2s, 4s, ... in between
+async function retry(fn, attempts) {
+  for (let i = 1; ; i++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (i >= attempts) throw e;
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (i - 1)));
+    }
+  }
+}
+
+// Target types: webhook (generic JSON), slack, discord (their webhook
+// payloads; Slack's also works for Mattermost), email (see getMailer())
+async function sendNotification(env, target, feed, items) {
+  const heading = `${items.length} new item(s) in ${feed.title}`;
+
+  if (target.type === "email") {
+    // Checked again; the allowlist may have changed since the feed was saved
+    if (!mailAllowed(target.to, env)) throw new Error(`'${target.to}' isn't an allowed recipient (MAIL_RECIPIENTS)`);
+    const text = items.map(it => [it.title, it.link, it.desc].filter(Boolean).join("\n")).join("\n\n");
+    return getMailer(env).send({ to: target.to, subject: heading, text: `${text}\n\n--\n${feed.url}` });
+  }
+
+  let payload;
+  if (target.type === "slack") {
+    // mrkdwn; <, >, & must be escaped
+    const mrkdwn = str => str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    // '|' and '>' would end the link's URL part early; percent-encoded, the URL stays the same
+    const linkUrl = url => mrkdwn(url.replace(/[<>|]/g, c => encodeURIComponent(c)));
+    const lines = items.map(it => {
+      const title = mrkdwn(it.title || it.link);
+      return `• ${it.link ? `<${linkUrl(it.link)}|${title}>` : title}` + (it.desc ? `\n${mrkdwn(it.desc)}` : "");
+    });
+    payload = { text: `*${mrkdwn(heading)}*\n${lines.join("\n")}` };
+  } else if (target.type === "discord") {
+    // Markdown; <link> suppresses embeds. Max 2000 chars
+    const lines = items.map(it => {
+      const title = it.title || it.link;
+      const link = it.link?.replace(/[<>]/g, c => encodeURIComponent(c)); // '>' would end <link>
+      return `• ${link ? `[${title}](<${link}>)` : title}` + (it.desc ? `\n> ${it.desc}` : "");
+    });
+    // Scraped text may say @everyone, @here, or <@id>; nobody gets pinged
+    payload = { content: `**${heading}**\n${lines.join("\n")}`.slice(0, 2000), allowed_mentions: { parse: [] } };
+  } else {
+    payload = { feed, items };
+  }
+
+  const res = await guardedFetch(target.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "User-Agent": "RSSible (notifications)" },
+    body: JSON.stringify(payload),
+  }, env);
+  if (!res.ok) throw new Error(`${target.type} webhook answered ${res.status}`);
+}
+
+// Email transports; send({ to, subject, text }). Tried in order:
+// - EMAIL: Cloudflare send_email binding (wrangler.toml); MAIL_FROM required
+// - MAIL_URL: JSON API taking { from, to, subject, text } (e.g., Resend);
+//   MAIL_TOKEN is sent as a bearer token, if set
+// - MAILER=log: prints messages instead of sending them (tests, local dev)
+function getMailer(env) {
+  if (env?.EMAIL) return bindingMailer(env.EMAIL, env.MAIL_FROM);
+  if (env?.MAIL_URL) return httpMailer(env.MAIL_URL, env.MAIL_TOKEN, env.MAIL_FROM);
+  if (env?.MAILER === "log") return logMailer;
+  throw new Error("Email isn't configured; set an EMAIL binding or MAIL_URL.");
+}
+
+// Anyone can save a feed; without an operator-set allowlist, email targets
+// would make the mail transport an open relay. MAIL_RECIPIENTS: addresses,
+// or "*@example.com" for a domain (comma-separated); none when unset.
+function mailAllowed(to, env) {
+  const address = to.toLowerCase();
+  return hostList(env?.MAIL_RECIPIENTS).some(pattern => pattern.startsWith("*@") ? address.endsWith(pattern.slice(1)) : address === pattern);
+}
+
+function bindingMailer(binding, from) {
+  if (!from) throw new Error("MAIL_FROM is required for the EMAIL binding.");
+  return {
+    async send({ to, subject, text }) {
+      // RFC 2047 for non-ASCII subjects
+      const utf8 = str => btoa(String.fromCharCode(...new TextEncoder().encode(str)));
+      const raw = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: =?UTF-8?B?${utf8(subject)}?=`,
+        `Message-ID: <${randomString(16)}@${from.split("@").pop().replace(/>$/, "")}>`,
+        `Date: ${new Date().toUTCString()}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        "",
+        utf8(text).replace(/.{76}/g, "$&\r\n"),
+      ].join("\r\n");
+
+      await binding.send(new EmailMessage(from.replace(/^.*<|>$/g, ""), to, raw));
+    },
+  };
+}
+
+function httpMailer(endpoint, token, from) {
+  return {
+    async send({ to, subject, text }) {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) },
+        body: JSON.stringify({ from: from || "RSSible <rssible@localhost>", to, subject, text }),
+      });
+      if (!res.ok) throw new Error(`Mail API answered ${res.status}`);
+    },
+  };
+}
+
+// console.log is silenced unless DEBUG; info isn't
+const logMailer = {
+  async send({ to, subject, text }) {
+    console.info(`Mail to ${to}: ${subject}\n${text}`);
+  },
+};
+
+// REST-ish API for saved feed definitions:
+// - POST /api/feeds           -> create; returns { id, url, token }
+// - GET /api/feeds/:id        -> read definition (token required)
+// - PUT /api/feeds/:id        -> replace definition (token required)
+// - DELETE /api/feeds/:id     -> delete (token required)
+// Token is passed as "Authorization: Bearer <token>"
+// The body may carry 'notify' (notification targets) next to the definition
+async function handleFeedsApi(req, env) {
+  const url = new URL(req.url);
+  const store = getStore(env);
+  const [id, sub] = url.pathname.split("/").slice(3);
+
+  if (!id) {
+    if (req.method !== "POST") throw http(405, "Method not allowed.");
+    await rateLimit(req, env);
+    await checkFeedQuota(store, env, 1);
+
+    const { def, meta, targets, secrets } = await readDefinition(req, env);
+    return json(await createFeed(store, url.origin, def, meta, targets, secrets), 201);
+  }
+
+  const key = `feed:${id}`;
+  const record = await store.get(key);
+  if (!record) throw http(404, "Feed not found.");
+
+  await authorize(req, record);
+
+  // Health checks (see refreshFeeds()); read-only
+  if (sub === "health") {
+    if (req.method !== "GET") throw http(405, "Method not allowed.");
+    const health = await store.get(`health:${id}`);
+    return json({ id, ...(health || { status: "unknown", reasons: [], runs: [] }) });
+  }
+
+  if (sub) throw http(404, "Not found.");
+
+  switch (req.method) {
+    case "GET": {
+      const notify = (await store.get(`notify:${id}`))?.targets || [];
+      return json({ id, url: `${url.origin}/f/${id}`, def: record.def, notify, name: record.name, collection: record.collection,
+        created: record.created, updated: record.updated });
+    }
+    case "PUT": {
+      const { def, meta, targets, secrets } = await readDefinition(req, env);
+      Object.assign(record, { def, name: meta.name, collection: meta.collection, secrets });
+      record.updated = new Date().toISOString();
+      await store.put(key, record);
+      await saveTargets(store, id, targets, `${url.origin}/f/${id}`);
+      await store.delete(`history:${id}`); // selectors may have changed
+      await store.delete(`health:${id}`);
+      await purgeCache(url.origin, id);
+      return json({ id, url: `${url.origin}/f/${id}` });
+    }
+    case "DELETE":
+      await store.delete(key);
+      await store.delete(`history:${id}`);
+      await store.delete(`hubstate:${id}`);
+      for (const sub of await store.list(`sub:${id}:`)) await store.delete(sub);
+      await store.delete(`health:${id}`);
+      for (const format of Object.keys(FORMATS)) await store.delete(`changed:${id}:${format}`);
+      await saveTargets(store, id, []);
+      await purgeCache(url.origin, id);
+      return new Response(null, { status: 204 });
+    default:
+      throw http(405, "Method not allowed.");
+  }
+}
+
+// Definition = the same key/values as the /feed query string (JSON body);
+// returns { def, meta, targets, secrets } (see readTargets(), bindSecrets())
+async function readDefinition(req, env) {
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    throw http(400, "Invalid JSON body.");
+  }
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw http(400, "Feed definition must be a JSON object.");
+  }
+
+  const def = toDefinition(body);
+  return { def, meta: readMeta(body), targets: readTargets(body.notify, env), secrets: await bindSecrets(getStore(env), def, body.secrets) };
+}
+
+// Query-style key/values -> stored definition; validated like /feed requests
+function toDefinition(body) {
+  const def = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (["mirror", "nocache", "notify", "name", "collection", "secrets"].includes(key)) continue; // request-only; targets; meta; tokens
+    if (value === null || value === undefined || value === "") continue;
+
+    // Merge mode: list of query strings or objects (e.g., { url, _item, ... })
+    if (key === "src" && Array.isArray(value)) {
+      def.src = value.map(v => (v && typeof v === "object" ? new URLSearchParams(v) : v).toString());
+      continue;
+    }
+
+    if (typeof value === "object") throw http(400, `Invalid value for '${key}'.`);
+    def[key] = String(value);
+  }
+
+  // Reject what /feed would reject, malformed filters included; throws 400s
+  parseParams(definitionQuery({ ...def, strict: "1" }));
+  return def;
+}
+
+// Optional labels of a saved feed: 'name' (OPML title) and 'collection'
+// (a group for OPML export); stored next to the definition
+function readMeta(body) {
+  const meta = {};
+  for (const key of ["name", "collection"]) {
+    const value = body[key];
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof value !== "string" || value.trim().length > 100) throw http(400, `'${key}' must be a string of up to 100 chars.`);
+    meta[key] = value.trim();
+  }
+
+  return meta;
+}
+
+// Every saved feed is scraped by the cron job; the deployment keeps at most
+// MAX_FEEDS (or the MAX_FEEDS var) of them
+async function checkFeedQuota(store, env, adding) {
+  const max = Number(env?.MAX_FEEDS) || MAX_FEEDS;
+  if ((await store.list("feed:")).length + adding > max) {
+    throw http(403, `This instance keeps up to ${max} saved feeds; delete some or self-host.`);
+  }
+}
+
+async function createFeed(store, origin, def, meta = {}, targets = [], secrets) {
+  const id = randomString(ID_LENGTH);
+  const token = randomString(32);
+
+  const now = new Date().toISOString();
+  await store.put(`feed:${id}`, { def, ...meta, secrets, tokenHash: await sha256(token), created: now, updated: now });
+  await saveTargets(store, id, targets, `${origin}/f/${id}`);
+  return { id, url: `${origin}/f/${id}`, token };
+}
+
+// OPML 2.0 export/import of saved feeds; definitions travel as rssible:query
+// attributes, so importing on another instance restores them.
+// - POST /api/opml/export { feeds: { id: token }, collection?, links? }: the
+//   given feeds (edit tokens; e.g., the app page's saved feeds)
+// - GET /api/opml/export?collection=&links= with ADMIN_TOKEN: all saved feeds
+// - POST /api/opml/import (OPML body): creates feeds; returns their tokens
+// 'links' is "short" (/f/:id; default) or "full" (/feed?... URLs).
+async function handleOpmlApi(req, env) {
+  const url = new URL(req.url);
+  const store = getStore(env);
+  const action = url.pathname.split("/")[3];
+
+  if (action === "import") {
+    if (req.method !== "POST") throw http(405, "Method not allowed.");
+    await rateLimit(req, env);
+    return importOpml(req, env, store, url.origin);
+  }
+
+  if (action !== "export") throw http(404, "Not found.");
+
+  let feeds = [];
+  let options;
+  if (req.method === "GET") {
+    // Whole instance; for self-hosted and team instances
+    const auth = (req.headers.get("authorization") || "").replace(/^Bearer\s+/i, "").trim();
+    if (!env.ADMIN_TOKEN) throw http(501, "Exporting all feeds needs the ADMIN_TOKEN secret; POST feed tokens instead.");
+    if (!auth || (await sha256(auth)) !== (await sha256(env.ADMIN_TOKEN))) throw http(403, "Invalid or missing admin token.");
+
+    for (const key of await store.list("feed:")) {
+      const record = await store.get(key);
+      if (record) feeds.push({ id: key.slice("feed:".length), record });
+    }
+
+    options = Object.fromEntries(url.searchParams);
+  } else if (req.method === "POST") {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      throw http(400, "Invalid JSON body.");
+    }
+
+    const tokens = body?.feeds;
+    if (!tokens || typeof tokens !== "object" || Array.isArray(tokens)) throw http(400, "'feeds' must map feed IDs to edit tokens.");
+
+    for (const [id, token] of Object.entries(tokens)) {
+      const record = await store.get(`feed:${id}`);
+      if (!record) continue; // deleted since; skipped
+      if ((await sha256(String(token))) !== record.tokenHash) throw http(403, `Invalid edit token for feed '${id}'.`);
+      feeds.push({ id, record });
+    }
+
+    options = body;
+  } else {
+    throw http(405, "Method not allowed.");
+  }
+
+  if (options.collection) feeds = feeds.filter(f => f.record.collection === options.collection);
+  if (options.links && !["short", "full"].includes(options.links)) throw http(400, "Invalid 'links'; use short or full.");
+
+  const title = options.collection ? `RSSible: ${options.collection}` : "RSSible feeds";
+  return new Response(buildOpml({ title, origin: url.origin, feeds, links: options.links }), {
+    headers: {
+      "Content-Type": "text/x-opml; charset=utf-8",
+      "Content-Disposition": `attachment; filename="rssible.opml"`,
+    },
+  });
+}
+
+// Collections become folders (outlines holding the feeds); the rest is flat
+function buildOpml({ title, origin, feeds, links = "short" }) {
+  const indent = (str, n) => " ".repeat(n) + str;
+
+  const outline = ({ id, record }) => {
+    const query = definitionQuery(record.def);
+    const page = record.def.url || new URLSearchParams([].concat(record.def.src)[0]).get("url");
+    const text = record.name || new URL(page).host;
+    const xmlUrl = links === "full" ? `${origin}/feed?${query}` : `${origin}/f/${id}`;
+    return `<outline type="rss" text="${escAttr(text)}" title="${escAttr(text)}" xmlUrl="${escAttr(xmlUrl)}" ` +
+      `htmlUrl="${escAttr(page)}" rssible:id="${id}" rssible:query="${escAttr(query.toString())}"/>`;
+  };
+
+  const groups = new Map();
+  for (const feed of feeds) {
+    const name = feed.record.collection || "";
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(feed);
+  }
+
+  let out = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0" xmlns:rssible="https://rssible.hadid.dev/opml">
+  <head>
+    <title>${esc(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>`;
+
+  for (const [name, group] of groups) {
+    if (!name) {
+      for (const feed of group) out += "\n" + indent(outline(feed), 4);
+      continue;
+    }
+
+    out += "\n" + indent(`<outline text="${escAttr(name)}" title="${escAttr(name)}">`, 4);
+    for (const feed of group) out += "\n" + indent(outline(feed), 6);
+    out += "\n" + indent("</outline>", 4);
+  }
+
+  out += `
+  </body>
+</opml>`;
+  return out;
+}
+
+// Each feed outline becomes a saved feed: from rssible:query (an RSSible
+// export), otherwise its xmlUrl as an RSS/Atom source. Folders set the
+// collection; outline text the name. Invalid outlines are reported, not fatal.
+async function importOpml(req, env, store, origin) {
+  const outlines = parseOpml(await req.text()).filter(o => o.attrs["rssible:query"] || o.attrs.xmlUrl);
+  if (!outlines.length) throw http(400, "No feeds in the OPML document.");
+  if (outlines.length > MAX_IMPORT) throw http(400, `Too many feeds; up to ${MAX_IMPORT} per import.`);
+  await checkFeedQuota(store, env, outlines.length);
+
+  const created = [];
+  const failed = [];
+  for (const { attrs, collection } of outlines) {
+    const name = (attrs.text || attrs.title || "").trim().slice(0, 100) || undefined;
+    try {
+      const query = attrs["rssible:query"];
+      if (!query && !/^https?:\/\//i.test(attrs.xmlUrl)) throw http(400, "'xmlUrl' must be an http(s) URL.");
+      const def = toDefinition(query ? queryObject(new URLSearchParams(query)) : { url: attrs.xmlUrl });
+      const meta = readMeta({ name, collection: collection?.slice(0, 100) });
+      created.push({ name, collection, ...await createFeed(store, origin, def, meta) });
+    } catch (e) {
+      failed.push({ name, xmlUrl: attrs.xmlUrl, error: e.message });
+    }
+  }
+
+  return json({ created, failed }, created.length ? 201 : 400);
+}
+
+// Outlines with attributes and their folder (innermost parent outline's text)
+function parseOpml(xml) {
+  if (!/<opml[\s>]/i.test(xml)) throw http(400, "Not an OPML document.");
+
+  const outlines = [];
+  const folders = [];
+  for (const [tag, attrStr = "", selfClosing] of xml.matchAll(/<\/outline\s*>|<outline\b([^>]*?)(\/?)>/g)) {
+    if (tag.startsWith("</")) {
+      folders.pop();
+      continue;
+    }
+
+    const attrs = xmlAttrs(attrStr);
+    const folder = folders.at(-1);
+    outlines.push({ attrs, collection: folder || undefined });
+    if (!selfClosing) folders.push((attrs.text || attrs.title || "").trim());
+  }
+
+  return outlines;
+}
+
+// Repeated keys (e.g., 'src') become lists
+function queryObject(query) {
+  const out = {};
+  for (const key of new Set(query.keys())) {
+    const values = query.getAll(key);
+    out[key] = key === "src" || values.length > 1 ? values : values[0];
+  }
+
+  return out;
+}
+
+const TARGET_TYPES = ["webhook", "slack", "discord", "email"];
+
+// [{ type, url }] for webhooks, [{ type: "email", to }]; optional 'rate'
+// (notifications per hour, 1-60). Email only goes to MAIL_RECIPIENTS.
+function readTargets(value, env) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw http(400, "'notify' must be a list of targets.");
+  if (value.length > MAX_TARGETS) throw http(400, `Too many notification targets; up to ${MAX_TARGETS} are supported.`);
+
+  return value.map((target, i) => {
+    const fail = msg => http(400, `Invalid notification target ${i + 1}: ${msg}`);
+    if (!target || typeof target !== "object") throw fail("expected an object");
+    if (!TARGET_TYPES.includes(target.type)) throw fail(`'type' must be one of: ${TARGET_TYPES.join(", ")}`);
+
+    const out = { type: target.type };
+    if (target.type === "email") {
+      if (!/^[^\s@<>]+@[^\s@<>]+$/.test(target.to || "")) throw fail("'to' must be an email address");
+      if (!mailAllowed(target.to, env)) throw fail(`'${target.to}' isn't an allowed recipient (MAIL_RECIPIENTS)`);
+      out.to = target.to;
+    } else {
+      if (!/^https?:\/\//i.test(target.url || "")) throw fail("'url' must be an http(s) URL");
+      out.url = target.url;
     }
-  },
-};
 
-const DEFAULT_LIMIT = 5; // items per feed
-const MAX_LIMIT = 25; // max items per feed
-const CACHE_TTL = 900; // in seconds; 15 minutes
+    if (target.rate !== undefined) {
+      const rate = Number(target.rate);
+      if (!Number.isInteger(rate) || rate < 1 || rate > 60) throw fail("'rate' must be 1 to 60 per hour");
+      out.rate = rate;
+    }
 
-const DISABLE_CACHE = false; // for testing
-const DEBUG = false; // for debugging
+    return out;
+  });
+}
 
-if (!DEBUG) {
-  console.log = () => {};
+// Targets are kept apart from the definition, so the cron job can list them
+async function saveTargets(store, id, targets, feedUrl) {
+  if (targets.length) return store.put(`notify:${id}`, { targets, feedUrl });
+  await store.delete(`notify:${id}`);
+  await store.delete(`notifystate:${id}`);
 }
 
-async function handleFeed(req, ctx) {
-  const isJsonResponse = res => {
-    const type = res.headers.get('content-type') || '';
-    return type.includes('application/json');
-  };
+// Stored definition -> query params; list values ('src') are repeated
+function definitionQuery(def) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(def)) {
+    for (const v of [].concat(value)) query.append(key, v);
+  }
+
+  return query;
+}
+
+// Saved feeds are cached by ID and requested format only; other query params
+// don't make variants, so purgeCache() reaches all of them
+function cacheUrl(url, feedId) {
+  if (!feedId) return url.toString();
+  return savedFeedUrl(url.origin, feedId, url.searchParams.get("format")?.toLowerCase());
+}
+
+// Every cached variant of a saved feed: default and each explicit format
+async function purgeCache(origin, id) {
+  if (DISABLE_CACHE) return;
+  const urls = [undefined, ...Object.keys(FORMATS)].map(format => savedFeedUrl(origin, id, format));
+  await Promise.all(urls.map(url => caches.default.delete(new Request(url))));
+}
+
+// Edit tokens (feeds, secrets); only their digests are stored
+async function authorize(req, record) {
+  const auth = req.headers.get("authorization") || "";
+  const token = auth.replace(/^Bearer\s+/i, "").trim();
+  if (!token || (await sha256(token)) !== record.tokenHash) {
+    throw http(403, "Invalid or missing edit token.");
+  }
+}
 
+// Secrets API: header values stored encrypted, used by name in 'headers'
+// ("Authorization: Bearer {{secret:name}}"); values are write-only.
+// POST /api/secrets { name, value, hosts } -> { name, token }; GET (metadata),
+// PUT (rotate value and/or hosts), DELETE /api/secrets/:name with the token.
+async function handleSecretsApi(req, env) {
   const url = new URL(req.url);
-  const params = parseParams(url.searchParams);
+  const store = getStore(env);
+  const name = url.pathname.split("/")[3];
+  const key = await secretsKey(env);
+
+  if (!name) {
+    if (req.method !== "POST") throw http(405, "Method not allowed.");
+
+    const body = await readSecret(req, true);
+    // Unguessable: anyone with the name can use it (on its hosts only)
+    const newName = `${body.name}_${randomString(SECRET_SUFFIX)}`;
+    const token = randomString(32);
+
+    const now = new Date().toISOString();
+    await store.put(`secret:${newName}`, {
+      ...await encryptSecret(key, newName, body.value),
+      hosts: body.hosts,
+      tokenHash: await sha256(token),
+      created: now,
+      updated: now,
+    });
+    return json({ name: newName, ref: `{{secret:${newName}}}`, hosts: body.hosts, token }, 201);
+  }
 
-  let cacheKey;
-  // Caching; key includes params
-  if (!url.searchParams.get('nocache') && !DISABLE_CACHE) {
-    cacheKey = new Request(url.toString(), req);
-    const cached = await caches.default.match(cacheKey);
-    if (cached) return cached;
+  const recordKey = `secret:${name}`;
+  const record = await store.get(recordKey);
+  if (!record) throw http(404, "Secret not found.");
+  await authorize(req, record);
+
+  switch (req.method) {
+    case "GET":
+      return json({ name, ref: `{{secret:${name}}}`, hosts: record.hosts, created: record.created, updated: record.updated });
+    case "PUT": {
+      const body = await readSecret(req, false);
+      if (body.value !== undefined) Object.assign(record, await encryptSecret(key, name, body.value));
+      if (body.hosts) record.hosts = body.hosts;
+      record.updated = new Date().toISOString();
+      await store.put(recordKey, record);
+      return json({ name, ref: `{{secret:${name}}}`, hosts: record.hosts, updated: record.updated });
+    }
+    case "DELETE":
+      await store.delete(recordKey);
+      return new Response(null, { status: 204 });
+    default:
+      throw http(405, "Method not allowed.");
   }
+}
 
-  // NOTE: network wait not counted in CPU time
-  const upstream = await fetch(params.url, {
-    redirect: "follow", //
-    headers: {
-      'User-Agent': 'RSSible/1.0 (+https://rssible.hadid.dev/)', //
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8', //
-      ...params.headers // user-provided headers override defaults
-    },
-  }).catch((error) => {
-    throw http(502, `Page fetch error: ${error.message}`);
-  });
+const SECRET_LABEL = /^[A-Za-z0-9-]+(_[A-Za-z0-9-]+)*$/;
+const SECRET_SUFFIX = 12; // random chars appended to names
+const SECRET_REF = /\{\{secret:([A-Za-z0-9_-]+)\}\}/g;
+const HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
 
-  if (!upstream.ok) throw http(502, `Upstream ${upstream.status}`);
+// { name, value, hosts } -> validated; on update, each part is optional
+async function readSecret(req, creating) {
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    throw http(400, "Invalid JSON body.");
+  }
 
-  // Accept JSON; covert to HTML for parsing
-  const isJson = isJsonResponse(upstream);
-  const source = isJson ? await jsonToHtml(upstream, params) : upstream;
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw http(400, "Secret must be a JSON object.");
+  }
 
-  let res;
-  // For debugging: return the converted HTML from JSON
-  if (url.searchParams.get('mirror')) {
-    if (!isJson) {
-      // Don't use me as a proxy for arbitrary sites
-      throw http(501, 'The "mirror" option only supports JSON pages.');
+  const { name, value } = body;
+  if (creating && (typeof name !== "string" || name.length > 40 || !SECRET_LABEL.test(name))) {
+    throw http(400, "Secret 'name' is required: letters, digits, '-' and '_' (up to 40).");
+  }
+
+  if (value !== undefined || creating) {
+    // Short values would be redacted everywhere they appear by chance
+    if (typeof value !== "string" || value.length < 8 || value.length > 4096) {
+      throw http(400, "Secret 'value' must be a string of 8 to 4096 chars.");
     }
+    if (/[\r\n]/.test(value)) throw http(400, "Secret 'value' can't contain line breaks.");
+  }
 
-    res = source;
-  } else {
-    const items = await extractItems(source, params);
-    const rssXml = buildRss({ params, items });
+  let hosts;
+  if (body.hosts !== undefined || creating) {
+    const list = Array.isArray(body.hosts) ? body.hosts : String(body.hosts ?? "").split(/[\s,]+/);
+    hosts = [...new Set(list.map(h => String(h).trim().toLowerCase()).filter(Boolean))];
+    if (!hosts.length) throw http(400, "Secret 'hosts' is required (e.g., [\"api.example.com\", \"*.example.com\"]).");
+    if (hosts.length > MAX_SECRET_HOSTS) throw http(400, `Too many hosts; up to ${MAX_SECRET_HOSTS} are supported.`);
 
-    res = new Response(rssXml, {
-      headers: {
-        "Content-Type": "application/rss+xml; charset=utf-8", //
-        "Cache-Control": `public, max-age=${CACHE_TTL}`,
-      },
-    });
+    const invalid = hosts.find(h => !HOST_PATTERN.test(h));
+    if (invalid) throw http(400, `Invalid host '${invalid}'.`);
   }
 
-  if (!DISABLE_CACHE) {
-    ctx.waitUntil(caches.default.put(cacheKey, res.clone()));
+  if (!creating && value === undefined && !hosts) throw http(400, "Nothing to update; pass 'value' and/or 'hosts'.");
+  return { name, value, hosts };
+}
+
+// AES-GCM key; SECRETS_KEY is a Worker secret: 32 random bytes, base64-encoded
+async function secretsKey(env) {
+  if (!env.SECRETS_KEY) throw http(501, "Secrets are not configured; set the SECRETS_KEY secret.");
+
+  let raw;
+  try {
+    raw = fromBase64(env.SECRETS_KEY.trim());
+  } catch {}
+  if (raw?.length !== 32) throw http(500, "SECRETS_KEY must be 32 bytes, base64-encoded.");
+
+  return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+}
+
+// The name is authenticated too; a record can't be replayed under another name
+async function encryptSecret(key, name, value) {
+  const enc = new TextEncoder();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: enc.encode(name) }, key, enc.encode(value));
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function decryptSecret(key, name, record) {
+  try {
+    const iv = fromBase64(record.iv);
+    const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv, additionalData: new TextEncoder().encode(name) }, key, fromBase64(record.data));
+    return new TextDecoder().decode(data);
+  } catch {
+    throw http(500, `Secret '${name}' can't be decrypted; was SECRETS_KEY changed?`);
+  }
+}
+
+// Secret values used per request, or per scheduled refresh of a feed (see
+// resolveSecrets()); for redact()
+const usedSecrets = new WeakMap();
+
+// Replace {{secret:name}} in header values of a saved feed ('feed', its
+// record) bound to the secrets (see bindSecrets()); throws elsewhere (/feed,
+// /debug, /snapshot, mirror), for unknown secrets and for pages outside their
+// hosts. Merged sources are resolved one by one.
+// With 'req' (or a refresh run's key object), the values are redacted from
+// its response (see redact()).
+async function resolveSecrets(params, env, req, feed) {
+  for (const src of params.sources || []) await resolveSecrets(src, env, req, feed);
+
+  const names = new Set(secretRefs(params, false));
+  if (!names.size) return;
+  if (!feed) throw http(403, "Secrets only work in saved feeds (see /api/feeds).");
+  if (params.render) throw http(400, "Secrets can't be used with 'render'.");
+
+  const unbound = [...names].find(name => !feed.secrets?.includes(name));
+  if (unbound) throw http(403, `Secret '${unbound}' isn't bound to this feed; save it with the secret's token.`);
+
+  const store = getStore(env);
+  const key = await secretsKey(env);
+  const values = {};
+  params.secretHosts = [];
+
+  for (const name of names) {
+    const record = await store.get(`secret:${name}`);
+    if (!record) throw http(400, `Unknown secret '${name}'.`);
+
+    values[name] = await decryptSecret(key, name, record);
+    params.secretHosts.push(record.hosts);
+  }
+
+  params.secretHeaders = [];
+  for (const [header, value] of Object.entries(params.headers)) {
+    if (!value.match(SECRET_REF)) continue;
+    params.headers[header] = value.replace(SECRET_REF, (_, name) => values[name]);
+    params.secretHeaders.push(header);
+  }
+
+  if (req) usedSecrets.set(req, [...(usedSecrets.get(req) || []), ...Object.values(values)]);
+
+  if (!secretsAllowed(params.url, params)) {
+    throw http(403, `Secrets can't be sent to '${new URL(params.url).hostname}'; not in their hosts.`);
   }
+}
+
+// Secret names used in 'headers', merged sources' too (unless 'sources' is false)
+function secretRefs(params, sources = true) {
+  const names = Object.values(params.headers || {}).flatMap(v => [...v.matchAll(SECRET_REF)].map(m => m[1]));
+  if (sources) names.push(...(params.sources || []).flatMap(src => secretRefs(src)));
+  return [...new Set(names)];
+}
+
+// A saved feed may use a secret only when saved with the secret's token
+// ({ secrets: { name: token } } next to the definition), on every create and
+// update; otherwise anyone who learns the name could point a feed at any
+// page on the secret's hosts. Returns the bound names (undefined for none).
+async function bindSecrets(store, def, tokens) {
+  const names = secretRefs(parseParams(definitionQuery(def)));
+  if (!names.length) return undefined;
+
+  for (const name of names) {
+    const record = await store.get(`secret:${name}`);
+    if (!record) throw http(400, `Unknown secret '${name}'.`);
+
+    const token = tokens && typeof tokens === "object" ? tokens[name] : undefined;
+    if (typeof token !== "string" || (await sha256(token)) !== record.tokenHash) {
+      throw http(403, `Missing or invalid token for secret '${name}'; pass it as 'secrets': { "${name}": "<token>" }.`);
+    }
+  }
+
+  return names;
+}
+
+// Every secret must allow the host: exact, or "*.example.com" (subdomains)
+function secretsAllowed(url, params) {
+  const { hostname } = new URL(url);
+  return params.secretHosts.every(hosts => hosts.some(host => hostMatches(hostname, host)));
+}
+
+// Secret values (raw, escaped as HTML or JSON, and percent-encoded as in
+// item IDs; see itemId()) -> "[secret]"
+function redact(req, text) {
+  for (const value of usedSecrets.get(req) || []) {
+    const forms = [value, esc(value), escAttr(value), JSON.stringify(value).slice(1, -1), encodeURIComponent(value), encodeURI(value)];
+    for (const form of new Set(forms)) {
+      text = text.replaceAll(form, "[secret]");
+    }
+  }
+
+  return text;
+}
+
+// Pages may echo request headers back (feeds, debug, mirror, snapshot)
+async function redactResponse(req, res) {
+  if (!usedSecrets.has(req) || !res.body) return res;
 
-  return res;
+  const headers = new Headers(res.headers);
+  headers.delete("Content-Length");
+  return new Response(redact(req, await res.text()), { status: res.status, headers });
 }
 
-function parseParams(query) {
-  const url = query.get("url")?.trim();
+// Only 'url', 'headers' and 'charset' are parsed when 'sourceOnly' (mirror, snapshot)
+function parseParams(query, sourceOnly = !!query.get("mirror")) {
+  // Merge mode: top-level source params are ignored; see parseSources()
+  const sources = sourceOnly ? undefined : parseSources(query);
+  const url = query.get("url")?.trim() || sources?.[0].url;
 
   let headers = {};
   // Base64-encoded headers (newline-delimited)
@@ -108,23 +2089,48 @@ function parseParams(query) {
     }
   }
 
-  if (query.get("mirror")) {
-    return { url, headers };
+  // Overrides a missing or wrong charset (e.g., shift_jis, windows-1251)
+  const charset = query.get("charset")?.trim() || undefined;
+  if (charset) {
+    try {
+      new TextDecoder(charset);
+    } catch {
+      throw http(400, `Unsupported 'charset': ${charset}.`);
+    }
+  }
+
+  if (sourceOnly) {
+    return { url, headers, charset };
   }
 
-  const item = query.get("_item")?.trim();
-  if (!url || !item) {
-    throw http(400, "Query params 'url' and 'item' are required");
+  // Optional for RSS/Atom feeds and sitemaps; checked once the source is known
+  const item = sources ? undefined : query.get("_item")?.trim();
+  if (!url) {
+    throw http(400, "Query param 'url' is required");
   }
 
-  const title = query.get("title")?.trim();
-  const link = query.get("link")?.trim();
-  if (!title && !link) {
+  // Parsed to { selector, attr }; see parseField()
+  const title = parseField(query.get("title"));
+  const link = parseField(query.get("link"));
+  if (item && !title && !link) {
     throw http(400, "Provide at least one selector: 'title' or 'link'.");
   }
 
-  const desc = query.get("desc")?.trim();
-  const date = query.get("date")?.trim();
+  const desc = parseField(query.get("desc"));
+  const date = parseField(query.get("date"));
+  // Optional pattern (e.g., DD.MM.YYYY) and zone for naive dates
+  const dateFormat = query.get("date_format")?.trim();
+  const tz = query.get("tz")?.trim();
+  if (tz) {
+    try {
+      tzOffset(tz, Date.now());
+    } catch {
+      throw http(400, "Invalid 'tz'; use an IANA name (e.g., Europe/Berlin) or offset (e.g., +02:00).");
+    }
+  }
+
+  const image = parseField(query.get("image"));
+  const enclosure = parseField(query.get("enclosure"));
 
   // Accept weird formats, like OxFF or 1e1
   const limitRaw = Number(query.get("limit") || DEFAULT_LIMIT);
@@ -133,48 +2139,191 @@ function parseParams(query) {
   const streamRaw = (query.get("stream") || "on").toLowerCase();
   const stream = !(streamRaw === "off");
 
-  // Compiles to array of { field, regex }
+  // Compiles to groups of OR-ed rules; see parseFilters()
+  // Strict: malformed lines are rejected (400) instead of skipped
+  const strict = ["1", "true", "on"].includes((query.get("strict") || "").toLowerCase());
   const filterRaw = query.get("filters")?.trim();
-  const filters = filterRaw ? parseFilters(filterRaw) : {};
+  const filters = filterRaw ? parseFilters(filterRaw, strict) : [];
+
+  // Applied after extraction; includes default rules unless opted out
+  const transforms = parseTransforms(query.get("transforms")?.trim() || "", strict, !sources);
+
+  // Number of items to remember; 0 (default) disables history
+  const historyRaw = Number(query.get("history") || 0);
+  const history = Math.min(isFinite(historyRaw) ? Math.max(historyRaw, 0) : 0, MAX_HISTORY);
+
+  // Description as text (default) or sanitized HTML; see captureHtml()
+  const descMode = (query.get("desc_mode") || "text").trim().toLowerCase();
+  if (!["text", "html"].includes(descMode)) {
+    throw http(400, "Invalid 'desc_mode'; use text or html.");
+  }
+
+  // Article body selector; fetched from each item link
+  const content = query.get("content")?.trim();
+
+  // Next page: selector (global, not under item) and optional cursor param
+  const next = parseField(query.get("next"));
+  if (next && !next.selector) {
+    throw http(400, "The 'next' selector can't be empty; it isn't relative to items.");
+  }
+
+  const cursor = query.get("cursor")?.trim();
+
+  // Headless browser; optionally waits for a selector (e.g., the items)
+  const render = ["1", "true", "on"].includes((query.get("render") || "").toLowerCase());
+  const waitFor = query.get("wait_for")?.trim();
+
+  // JSONPath mode: '_item' starting with '$' switches all selectors to paths
+  // (fields relative to the item, 'next' to the page); see parsePath()
+  let paths;
+  if (item?.startsWith("$")) {
+    paths = { item: parsePath(item) };
+    for (const name of ["title", "link", "desc", "date", "image", "enclosure", "next"]) {
+      const raw = query.get(name)?.trim();
+      if (raw) paths[name] = parsePath(raw);
+    }
+  }
+
+  // Cache lifetime (seconds); also <ttl> in RSS
+  const ttlRaw = Number(query.get("ttl") || CACHE_TTL);
+  const ttl = Math.min(Math.max(isFinite(ttlRaw) ? Math.round(ttlRaw) : CACHE_TTL, MIN_TTL), MAX_TTL);
+
+  // Saved feeds: a synthetic item while the feed is broken; see withHealthAlert()
+  const healthAlert = ["1", "true", "on"].includes((query.get("health_alert") || "").toLowerCase());
+
+  const format = (query.get("format") || "rss").trim().toLowerCase();
+  if (!FORMATS[format]) {
+    throw http(400, `Unsupported 'format'; use one of: ${Object.keys(FORMATS).join(", ")}.`);
+  }
+
+  return { url, item, title, link, desc, date, dateFormat, tz, image, enclosure, descMode, limit, stream, headers, charset, filters, transforms, format, history, next, cursor, content, paths, sources, render, waitFor, ttl, healthAlert,
+    // Keys stored upstream validators; output-only params don't count
+    signature: `${canonicalQuery(query)}&limit=${limit}` };
+}
+
+// Each 'src' param is a query string for one source (url, _item, selectors,
+// headers, transforms, filters, ...; 'name' labels its items, host by default).
+// Sources inherit the feed's 'limit' and 'strict'; errors name the source.
+function parseSources(query) {
+  const raw = query.getAll("src").map(s => s.trim()).filter(Boolean);
+  if (!raw.length) return undefined;
+  if (raw.length > MAX_SOURCES) throw http(400, `Too many sources; up to ${MAX_SOURCES} are supported.`);
+
+  return raw.map((str, i) => {
+    const sub = new URLSearchParams(str);
+    try {
+      if (sub.has("src")) throw http(400, "Sources can't be nested.");
+      for (const key of ["limit", "strict"]) {
+        if (!sub.has(key) && query.has(key)) sub.set(key, query.get(key));
+      }
+
+      const params = parseParams(sub);
+      return { ...params, name: sub.get("name")?.trim() || new URL(params.url).host };
+    } catch (e) {
+      throw http(e.status || 400, `Source ${i + 1}: ${e.message}`);
+    }
+  });
+}
+
+// Field selector with optional attribute suffix:
+// - "sel" -> text of matching nodes
+// - "sel@attr" -> attribute of first matching node (e.g., time@datetime)
+// - "@attr" -> attribute of the item itself; "@" (or ".") -> item itself
+function parseField(raw) {
+  raw = raw?.trim();
+  if (!raw) return undefined;
+  if (raw === "@" || raw === ".") return { selector: "" };
+
+  // Attribute name must end the selector; '@' inside [attr="a@b"] doesn't count
+  const match = raw.match(/^(.*?)@([A-Za-z_:][\w:.-]*)$/);
+  if (!match) return { selector: raw };
+  return { selector: match[1].trim(), attr: match[2] };
+}
+
+// Merge fresh items with previously seen ones (keyed by guid/link).
+// Fresh items keep page order, followed by remembered ones (newest first).
+// First-seen time stands in for pubDate when there's no date selector.
+// Ad-hoc feeds' history expires (HISTORY_TTL) unless fetched again; any query
+// makes one, so it isn't kept for good like saved feeds'.
+async function mergeHistory({ env, ctx, key, items, params, saved }) {
+  const store = getStore(env);
+  const storeKey = `history:${key}`;
+  const seen = (await store.get(storeKey)) || [];
+
+  const now = new Date().toISOString();
+  const itemKey = it => it.guid || it.link || it.title;
+  const byKey = new Map(seen.map(it => [itemKey(it), it]));
+
+  const merged = [];
+  const fresh = new Set();
+  for (const it of items) {
+    const k = itemKey(it);
+    if (fresh.has(k)) continue; // duplicate on the same page
+    fresh.add(k);
+
+    const firstSeen = byKey.get(k)?.firstSeen || now;
+    const { _text, ...rest } = it; // filter-only field
+    merged.push({ ...rest, firstSeen, pubDate: it.pubDate || (params.date ? undefined : firstSeen) });
+  }
+
+  const older = seen
+    .filter(it => !fresh.has(itemKey(it)))
+    .sort((a, b) => (b.firstSeen || "").localeCompare(a.firstSeen || ""));
 
-  return { url, item, title, link, desc, date, limit, stream, headers, filters };
+  const out = merged.concat(older).slice(0, params.history);
+  // Don't hold the response for the write
+  ctx.waitUntil(store.put(storeKey, out, saved ? undefined : HISTORY_TTL));
+  return out;
+}
+
+// Stable key for ad-hoc feeds; ignores output-only params
+function canonicalQuery(query) {
+  const skip = new Set(["format", "nocache", "mirror", "limit", "history", "strict", "ttl", "health_alert"]);
+  return [...query.entries()]
+    .filter(([k]) => !skip.has(k))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
 }
 
 // Read HTMLRewriter doc to figure out what the hell is going on here:
 // https://developers.cloudflare.com/workers/runtime-apis/html-rewriter/
-async function extractItems(upstream, params) {
+// Appends to 'items' (pagination); sets 'page.href'/'page.text' for next page
+// Relative media URLs resolve against 'page.url' (defaults to params.url)
+// Optional 'report' collects debug stats; see handleDebug()
+async function extractItems(upstream, params, items = [], page = {}, report) {
   const normalizeText = str => {
     if (!str) return "";
     str = str.replace(/\s+/g, ' ').trim();
     return decodeHTML(str);
   };
 
-  const matchFilters = (item, filters) => {
-    if (filters.item && !filters.item.test(item._text)) return false;
-    if (filters.title && !filters.title.test(item.title)) return false;
-    if (filters.link && !filters.link.test(item.link)) return false;
-    return !(filters.desc && !filters.desc.test(item.desc));
-  };
+  // Item text is only collected when a filter needs it
+  const needsText = params.filters.some(group => group.some(rule => rule.key === "item"));
+  // Inner HTML of 'desc' matches (not attributes); 'desc' itself stays text
+  const descHtml = params.descMode === "html" && params.desc && !params.desc.attr;
 
-  const items = [];
   let current;
 
   const rewriter = new HTMLRewriter().on(params.item, {
     element(elem) {
       if (items.length >= params.limit) return;
 
-      current = { _text: "", title: "", desc: "" }; // reset for new item
+      current = { _text: "", title: "", desc: "", ...(descHtml && { descHtml: "" }) }; // reset for new item
       elem.onEndTag(() => {
         current.title = normalizeText(current.title);
-        // Strip leading numbering: 1., (1, and (1)
-        current.title = current.title.replace(/^\(?(\d+)[.)]\s+/, '')
 
         current.desc = normalizeText(current.desc);
+        if (descHtml) current.descHtml = current.descHtml.trim() || undefined;
         current.link = normalizeText(current.link);
         current._text = normalizeText(current._text);
 
-        const match = matchFilters(current, params.filters);
-        if ((current.title || current.link) && match) {
+        // Transforms first; filters see the final values
+        transformItems([current], params.transforms);
+        const failed = failedFilter(current, params.filters);
+        if (report) recordItem(report, current, failed, params);
+
+        if ((current.title || current.link) && !failed) {
           items.push(current);
         }
       });
@@ -184,7 +2333,7 @@ async function extractItems(upstream, params) {
     // A text node may come in chunks/fragmented
     // See https://developers.cloudflare.com/workers/runtime-apis/html-rewriter/#text-chunks
     text(text) {
-      if (!params.filters.item) return;
+      if (!needsText || hidden.depth) return;
       if (items.length >= params.limit) return;
 
       // Add space between text nodes; e.g., <p>one</p><p>two</p>
@@ -196,33 +2345,58 @@ async function extractItems(upstream, params) {
     },
   });
 
-  if (params.title) {
-    // Include text of all matching nodes
-    rewriter.on(`${params.item} ${params.title}`, {
+  // Shared with captureHtml(), which must not set end tag handlers on them too
+  const hidden = trackHidden(rewriter, params.item);
+
+  // Relative to the item; empty selector means the item itself
+  const fieldSelector = field => field.selector ? `${params.item} ${field.selector}` : params.item;
+
+  // Text of all matching nodes, or first non-empty attribute value
+  const captureField = (name, field) => {
+    if (field.attr) {
+      rewriter.on(fieldSelector(field), {
+        element(elem) {
+          if (items.length >= params.limit) return;
+          if (current[name]) return; // first match wins
+          current[name] = elem.getAttribute(field.attr) || "";
+        },
+      });
+      return;
+    }
+
+    rewriter.on(fieldSelector(field), {
       text(text) {
-        if (items.length >= params.limit) return;
+        if (hidden.depth || items.length >= params.limit) return;
 
         // Add space between text nodes; e.g., <p>one</p><p>two</p>
-        if (text.lastInTextNode) current.title += " "
+        if (text.lastInTextNode) current[name] += " "
 
         const chunk = text.text?.trim();
-        if (chunk) current.title = current.title + chunk;
-        current.title = current.title?.trim();
+        if (chunk) current[name] += chunk;
+        current[name] = current[name]?.trim();
       },
     });
+  };
+
+  if (params.title) captureField("title", params.title);
+  if (params.desc) captureField("desc", params.desc);
+
+  if (descHtml) {
+    captureHtml(rewriter, fieldSelector(params.desc), page.url || params.url, hidden, chunk => {
+      if (items.length < params.limit) current.descHtml += chunk;
+    });
   }
 
   if (params.link) {
-    const isSelf = params.link === '@' || params.link === '.';
-    const linkSelector = isSelf ? params.item : `${params.item} ${params.link}`;
+    const attr = params.link.attr || "href";
 
-    // First element with href attribute wins
-    rewriter.on(linkSelector, {
+    // First element with the attribute wins
+    rewriter.on(fieldSelector(params.link), {
       element(elem) {
         if (items.length >= params.limit) return;
         if (current.link) return; // already have a link
 
-        let href = elem.getAttribute("href");
+        let href = elem.getAttribute(attr);
         if (href && href.startsWith('/')) {
           href = new URL(params.url).origin + href;
         }
@@ -232,72 +2406,284 @@ async function extractItems(upstream, params) {
     });
   }
 
-  if (params.desc) {
-    // Include text of all matching nodes
-    rewriter.on(`${params.item} ${params.desc}`, {
-      text(text) {
-        if (items.length >= params.limit) return;
+  // Media URLs; first match wins
+  for (const name of ["image", "enclosure"]) {
+    const field = params[name];
+    if (!field) continue;
 
-        // Add space between text nodes; e.g., <p>one</p><p>two</p>
-        if (text.lastInTextNode) current.desc += " "
+    rewriter.on(fieldSelector(field), {
+      element(elem) {
+        if (items.length >= params.limit) return;
+        if (current[name]) return;
 
-        const chunk = text.text?.trim();
-        if (chunk) current.desc += chunk;
-        current.desc = current.desc?.trim();
+        const url = mediaUrl(elem, field.attr, page.url || params.url);
+        if (url) current[name] = url;
       },
     });
   }
 
   if (params.date) {
+    // Relative dates are anchored to fetch time
+    const dateOpts = { format: params.dateFormat, tz: params.tz, now: Date.now() };
+
     // Parse all matches, first valid match wins
     let nodeText = ""; // whole text node; chunks merged
-    rewriter.on(`${params.item} ${params.date}`, {
+    rewriter.on(fieldSelector(params.date), {
+      element(elem) {
+        if (!params.date.attr) return;
+        if (items.length >= params.limit) return;
+        if (current.pubDate) return; // already have a date
+
+        const value = elem.getAttribute(params.date.attr);
+        if (!value) return;
+
+        current.pubDate = parseDate(value, dateOpts);
+        if (report && !current.pubDate) warn(report, `Unparseable date: "${value.trim()}"`);
+      },
+
       text(text) {
+        if (params.date.attr) return;
         if (items.length >= params.limit) return;
         if (current.pubDate) return; // already have a date
 
         nodeText += text.text;
         if (!text.lastInTextNode) return; // partial chunk
 
-        try {
-          current.pubDate = new Date(nodeText).toISOString();
-        } catch {
-          nodeText = ""; // reset for next match
-        }
+        current.pubDate = parseDate(nodeText, dateOpts);
+        if (report && !current.pubDate && nodeText.trim()) warn(report, `Unparseable date: "${nodeText.trim()}"`);
+        nodeText = ""; // reset for next match
+      },
+    });
+  }
+
+  if (params.next) {
+    // First match wins; text for JSON cursors
+    rewriter.on(params.next.selector, {
+      element(elem) {
+        if (page.href || page.text) return;
+        page.href = elem.getAttribute(params.next.attr || "href") || undefined;
+        page._text = "";
+      },
+
+      text(text) {
+        if (page.href || page.text) return;
+        page._text += text.text;
+        if (text.lastInTextNode) page.text = normalizeText(page._text) || undefined;
       },
     });
   }
 
-  const transformed = rewriter.transform(upstream);
+  const transformed = rewrite(rewriter, upstream);
   if (params.stream) {
     // Zero-copy streaming parsing
     const reader = transformed.body.getReader();
     while (true) {
       // Pulls in chunks; controlled by producer
-      const { done } = await reader.read();
-      if (done || (items.length >= params.limit)) break;
+      const { done, value } = await reader.read().catch(e => Promise.reject(upstreamError(e)));
+      if (report && value) report.read.bytes += value.byteLength;
+      if (done || (items.length >= params.limit)) {
+        if (report && !done) report.read.stoppedEarly = true;
+        break;
+      }
     }
   } else {
     // Read entire body once
-    await transformed.text();
+    const body = await transformed.arrayBuffer().catch(e => Promise.reject(upstreamError(e)));
+    if (report) report.read.bytes += body.byteLength;
   }
 
   return items;
 }
 
-function buildRss({ params, items }) {
+// Allowlist sanitizer; rebuilds the inner HTML of 'selector' matches:
+// - allowed tags keep allowed attributes only (URLs made absolute)
+// - dropped tags lose their content too (scripts, styles, frames, forms)
+// - anything else is unwrapped (tag removed, content kept)
+// 'hidden' (see trackHidden()) covers script, style, and noscript
+function captureHtml(rewriter, selector, baseUrl, hidden, append) {
+  let depth = 0; // inside a match
+  let skip = 0; // inside a dropped element
+
+  rewriter.on(selector, {
+    element(elem) {
+      if (VOID_TAGS.has(elem.tagName.toLowerCase())) return;
+      depth++;
+      elem.onEndTag(() => void depth--);
+    },
+  });
+
+  rewriter.on(`${selector} *`, {
+    element(elem) {
+      if (!depth || skip || hidden.depth) return;
+
+      const tag = elem.tagName.toLowerCase();
+      const isVoid = VOID_TAGS.has(tag);
+      if (DROP_TAGS.has(tag)) {
+        // An element has one end tag handler; trackHidden() owns these
+        if (!isVoid && !HIDDEN_TAGS.includes(tag)) {
+          skip++;
+          elem.onEndTag(() => void skip--);
+        }
+        return;
+      }
+
+      if (!ALLOWED_TAGS.has(tag)) return; // unwrap
+
+      let attrs = "";
+      for (const [name, value] of elem.attributes) {
+        const allowed = ALLOWED_ATTRS[name];
+        if (!allowed || !(allowed === "*" || allowed.includes(tag))) continue;
+
+        // Raw values keep entities; decode so escAttr() doesn't double them
+        const raw = decodeHTML(value);
+        const safe = URL_ATTRS.has(name) ? safeUrl(raw, baseUrl) : raw;
+        if (safe) attrs += ` ${name}="${escAttr(safe)}"`;
+      }
+
+      append(`<${tag}${attrs}>`);
+      if (!isVoid) elem.onEndTag(() => !skip && append(`</${tag}>`));
+    },
+  });
+
+  rewriter.onDocument({
+    // Raw text; entities are kept as is
+    text(text) {
+      if (!depth || skip || hidden.depth) return;
+      append(text.text.replace(/</g, "&lt;").replace(/>/g, "&gt;"));
+    },
+  });
+}
+
+// Open script, style, and noscript elements within 'selector' matches; their
+// contents aren't text. Tag check too: with a selector list, the suffix only
+// scopes the last selector.
+function trackHidden(rewriter, selector) {
+  const hidden = { depth: 0 };
+  for (const tag of HIDDEN_TAGS) {
+    rewriter.on(`${selector} ${tag}`, {
+      element(elem) {
+        if (elem.tagName.toLowerCase() !== tag) return;
+        hidden.depth++;
+        elem.onEndTag(() => void hidden.depth--);
+      },
+    });
+  }
+
+  return hidden;
+}
+
+const HIDDEN_TAGS = ["script", "style", "noscript"];
+
+const ALLOWED_TAGS = new Set([
+  "a", "abbr", "b", "blockquote", "br", "caption", "code", "dd", "del", "div", "dl", "dt",
+  "em", "figcaption", "figure", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins",
+  "li", "mark", "ol", "p", "pre", "q", "s", "small", "span", "strong", "sub", "sup", "table",
+  "tbody", "td", "tfoot", "th", "thead", "time", "tr", "u", "ul",
+]);
+
+// No end tag; onEndTag() would throw
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+
+const DROP_TAGS = new Set([
+  "applet", "audio", "base", "button", "canvas", "dialog", "embed", "form", "frame", "frameset",
+  "head", "iframe", "input", "link", "math", "meta", "noscript", "object", "script", "select",
+  "style", "svg", "template", "textarea", "title", "video",
+]);
+
+// Attribute -> tags allowed on ("*" for any allowed tag)
+const ALLOWED_ATTRS = {
+  title: "*",
+  href: ["a"],
+  src: ["img"],
+  alt: ["img"],
+  width: ["img"],
+  height: ["img"],
+  cite: ["blockquote", "q", "del", "ins"],
+  datetime: ["time", "del", "ins"],
+  colspan: ["td", "th"],
+  rowspan: ["td", "th"],
+};
+
+const URL_ATTRS = new Set(["href", "src", "cite"]);
+
+// Absolute http(s)/mailto URL, or undefined (javascript:, data:, invalid)
+function safeUrl(value, baseUrl) {
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return ["http:", "https:", "mailto:"].includes(url.protocol) ? url.toString() : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// First usable of src, srcset (widest candidate), href; or the given attribute
+function mediaUrl(elem, attr, baseUrl) {
+  for (const name of attr ? [attr] : ["src", "srcset", "href"]) {
+    const value = elem.getAttribute(name)?.trim();
+    if (!value) continue;
+
+    const src = name.endsWith("srcset") ? pickSrcset(value) : value;
+    const url = src && safeUrl(decodeHTML(src), baseUrl);
+    if (url) return url;
+  }
+}
+
+// "a.jpg 320w, b.jpg 2x" -> URL of the largest descriptor
+function pickSrcset(srcset) {
+  let best, bestSize = -1;
+  for (const candidate of srcset.split(/,\s+/)) {
+    const [url, descriptor = "1x"] = candidate.trim().split(/\s+/);
+    const size = parseFloat(descriptor) || 1;
+    if (url && size > bestSize) [best, bestSize] = [url, size];
+  }
+
+  return best;
+}
+
+// Best effort, by file extension
+// URL (resolved against the page, as transforms may leave it relative) and
+// MIME type by extension; undefined when it isn't a usable URL, so it's skipped
+function enclosureOf(value, baseUrl) {
+  const url = value && safeUrl(value, baseUrl);
+  if (!url) return undefined;
+  const ext = new URL(url).pathname.split(".").pop().toLowerCase();
+  return { url, type: MIME_TYPES[ext] || "application/octet-stream" };
+}
+
+const MIME_TYPES = {
+  jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif",
+  webp: "image/webp", avif: "image/avif", svg: "image/svg+xml",
+  mp3: "audio/mpeg", m4a: "audio/mp4", aac: "audio/aac", ogg: "audio/ogg", opus: "audio/ogg", wav: "audio/wav",
+  mp4: "video/mp4", m4v: "video/mp4", webm: "video/webm", mov: "video/quicktime",
+  pdf: "application/pdf",
+};
+
+// Media RSS 'medium' attribute
+function mediumOf(type) {
+  const medium = type.split("/")[0];
+  return ["image", "audio", "video"].includes(medium) ? medium : "document";
+}
+
+function buildRss({ params, items, links = {} }) {
   const now = new Date().toUTCString();
   const { origin, host } = new URL(params.url);
 
   const indent = (str, n) => " ".repeat(n) + str;
 
   let out = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0">
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/" xmlns:atom="http://www.w3.org/2005/Atom">
   <channel>
     <title>${esc(host)}</title>
-    <link>${esc(params.url)}</link>
+    <link>${esc(params.url)}</link>`;
+
+  if (links.self) out += "\n" + indent(`<atom:link rel="self" href="${escAttr(links.self)}" type="application/rss+xml"/>`, 4);
+  if (links.hub) out += "\n" + indent(`<atom:link rel="hub" href="${escAttr(links.hub)}"/>`, 4);
+
+  out += `
     <generator>RSSible</generator>
-    <ttl>${CACHE_TTL / 60}</ttl>
+    <ttl>${Math.ceil(params.ttl / 60)}</ttl>
     <image>
       <url>${origin}/favicon.ico</url>
     </image>
@@ -308,9 +2694,29 @@ function buildRss({ params, items }) {
     out += "\n" + indent("<item>", 4);
     if (it.title) out += "\n" + indent(`<title>${esc(it.title)}</title>`, 6);
     if (it.link) out += "\n" + indent(`<link>${esc(it.link)}</link>`, 6);
-    if (it.desc) out += "\n" + indent(`<description><![CDATA[${it.desc}]]></description>`, 6);
-    if (it.pubDate) out += "\n" + indent(`<pubDate>${it.pubDate}</pubDate>`, 6);
+    if (it.descHtml || it.desc) out += "\n" + indent(`<description>${cdata(it.descHtml || it.desc)}</description>`, 6);
+    if (it.content) out += "\n" + indent(`<content:encoded>${cdata(it.content)}</content:encoded>`, 6);
+    // RFC 822 (RSS); ISO 8601 elsewhere
+    if (it.pubDate) out += "\n" + indent(`<pubDate>${new Date(it.pubDate).toUTCString()}</pubDate>`, 6);
     if (it.link) out += "\n" + indent(`<guid isPermaLink="true">${esc(it.link)}</guid>`, 6);
+    if (it.source) {
+      out += "\n" + indent(`<source url="${escAttr(it.source.url)}">${esc(it.source.name)}</source>`, 6);
+      out += "\n" + indent(`<category>${esc(it.source.name)}</category>`, 6);
+    }
+
+    // One enclosure per item; the image stands in when there's none
+    const media = enclosureOf(it.enclosure, params.url);
+    const image = it.image && safeUrl(it.image, params.url); // like enclosureOf()
+    const enclosure = media || enclosureOf(image, params.url);
+    if (enclosure) {
+      const { url, type } = enclosure;
+      out += "\n" + indent(`<enclosure url="${escAttr(url)}" length="0" type="${type}"/>`, 6);
+      if (media) {
+        out += "\n" + indent(`<media:content url="${escAttr(url)}" type="${type}" medium="${mediumOf(type)}"/>`, 6);
+      }
+    }
+
+    if (image) out += "\n" + indent(`<media:thumbnail url="${escAttr(image)}"/>`, 6);
     out += "\n" + indent("</item>", 4);
   }
 
@@ -319,6 +2725,99 @@ function buildRss({ params, items }) {
   return out;
 }
 
+function buildAtom({ params, items, links = {} }) {
+  const now = new Date().toISOString();
+  const { origin, host } = new URL(params.url);
+
+  const indent = (str, n) => " ".repeat(n) + str;
+
+  let out = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <title>${esc(host)}</title>
+  <id>${esc(params.url)}</id>
+  <link href="${escAttr(params.url)}"/>
+  <author><name>${esc(host)}</name></author>
+  <generator>RSSible</generator>
+  <icon>${esc(origin)}/favicon.ico</icon>
+  <updated>${now}</updated>`;
+
+  if (links.self) out += "\n" + indent(`<link rel="self" href="${escAttr(links.self)}"/>`, 2);
+  if (links.hub) out += "\n" + indent(`<link rel="hub" href="${escAttr(links.hub)}"/>`, 2);
+
+  for (let i = 0; i < items.length; i++) {
+    const it = items[i];
+    // Atom requires title, id, and updated for every entry
+    out += "\n" + indent("<entry>", 2);
+    out += "\n" + indent(`<title>${esc(it.title || it.link)}</title>`, 4);
+    out += "\n" + indent(`<id>${esc(itemId(it, params))}</id>`, 4);
+    if (it.link) out += "\n" + indent(`<link href="${escAttr(it.link)}"/>`, 4);
+    out += "\n" + indent(`<updated>${it.pubDate || now}</updated>`, 4);
+    if (it.pubDate) out += "\n" + indent(`<published>${it.pubDate}</published>`, 4);
+    if (it.descHtml) out += "\n" + indent(`<summary type="html">${esc(it.descHtml)}</summary>`, 4);
+    else if (it.desc) out += "\n" + indent(`<summary type="text">${esc(it.desc)}</summary>`, 4);
+    if (it.content) out += "\n" + indent(`<content type="html">${esc(it.content)}</content>`, 4);
+    if (it.source) out += "\n" + indent(`<category term="${escAttr(it.source.name)}"/>`, 4);
+    const enclosure = enclosureOf(it.enclosure, params.url);
+    if (enclosure) {
+      out += "\n" + indent(`<link rel="enclosure" href="${escAttr(enclosure.url)}" type="${enclosure.type}"/>`, 4);
+    }
+
+    const image = it.image && safeUrl(it.image, params.url); // like enclosureOf()
+    if (image) out += "\n" + indent(`<media:thumbnail url="${escAttr(image)}"/>`, 4);
+    out += "\n" + indent("</entry>", 2);
+  }
+
+  out += "\n</feed>";
+  return out;
+}
+
+function buildJsonFeed({ params, items, links = {} }) {
+  const { origin, host } = new URL(params.url);
+
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: host,
+    home_page_url: params.url,
+    ...(links.self && { feed_url: links.self }),
+    ...(links.hub && { hubs: [{ type: "WebSub", url: links.hub }] }),
+    favicon: `${origin}/favicon.ico`,
+    items: items.map(it => {
+      const out = { id: itemId(it, params) };
+      if (it.link) out.url = it.link;
+      if (it.title) out.title = it.title;
+      // Either content_html or content_text is required; summary is plain text
+      if (it.content || it.descHtml) {
+        out.content_html = it.content || it.descHtml;
+        if (it.desc) out.summary = it.desc;
+      } else {
+        out.content_text = it.desc || it.title || "";
+      }
+      if (it.pubDate) out.date_published = it.pubDate;
+      const image = it.image && safeUrl(it.image, params.url); // like enclosureOf()
+      if (image) out.image = image;
+      const enclosure = enclosureOf(it.enclosure, params.url);
+      if (enclosure) out.attachments = [{ url: enclosure.url, mime_type: enclosure.type }];
+      if (it.source) out.tags = [it.source.name];
+      return out;
+    }),
+  };
+
+  return JSON.stringify(feed, null, 2);
+}
+
+// Stable identifier; link when available, otherwise derived from title.
+// 'params.url' is the page URL as given; secrets only ever fill in headers
+// (see resolveSecrets()), but titles may echo them (see redact()).
+function itemId(item, params) {
+  return item.link || `${params.url}#${encodeURIComponent(item.title)}`;
+}
+
+const FORMATS = {
+  rss: { type: "application/rss+xml; charset=utf-8", build: buildRss },
+  atom: { type: "application/atom+xml; charset=utf-8", build: buildAtom },
+  json: { type: "application/feed+json; charset=utf-8", build: buildJsonFeed },
+};
+
 // ¯\_(ツ)_/¯
 const namedMap = {
   '&amp;': '&', //
@@ -385,6 +2884,23 @@ function esc(str) {
   return str.replace(/[<>&]/g, (c) => (c === "<" ? "&lt;" : c === ">" ? "&gt;" : "&amp;"));
 }
 
+// CDATA section; splits any ']]>' in the content
+function cdata(str) {
+  return `<![CDATA[${String(str).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+// For attribute values; quotes included
+function escAttr(str) {
+  return esc(str).replace(/"/g, "&quot;");
+}
+
+function json(data, status = 200, space) {
+  return new Response(JSON.stringify(data, null, space), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
 function http(status, message) {
   const err = new Error(message);
   err.status = status;
@@ -424,7 +2940,13 @@ function sanitizeHeaders(headers) {
     "host",
     "content-length",
     "content-encoding",
-    "proxy-authorization"
+    "proxy-authorization",
+    // Client identity is the worker's, not spoofable by callers
+    "forwarded",
+    "x-forwarded-for",
+    "x-forwarded-host",
+    "x-real-ip",
+    "cf-connecting-ip"
   ]);
 
   const out = {};
@@ -437,53 +2959,525 @@ function sanitizeHeaders(headers) {
   return Object.keys(out).length ? out : {};
 }
 
-// Supported keys: item, title, link, desc (date unsupported)
-// Block lines like: key=/pattern/flags
-function parseFilters(block) {
-  const out = {};
-  for (const rawLine of block.split(/\r?\n/)) {
-    const line = rawLine.trim();
-    if (!line) continue;
+// Filter rules, one per line: key op value
+// - item, title, link, desc: = (matches) or != (doesn't match) /pattern/flags
+// - date: >, >=, <, <= against a date (2026-01-01) or offset from now (-7d)
+// Lines are AND-ed; a line starting with "or" is OR-ed with the line above.
+// Lines starting with "#" are comments. Items without a date fail date rules.
+// Malformed lines are skipped, or rejected with their line number (strict).
+function parseFilters(block, strict = false) {
+  const groups = [];
+  const lines = block.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i].trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const or = /^or\s+/i.test(line);
+    if (or) line = line.replace(/^or\s+/i, "");
+
+    let rule;
+    try {
+      if (or && !groups.length) throw new Error("'or' needs a rule above it");
+      rule = { ...parseRule(line), line: i + 1, source: line };
+    } catch (e) {
+      if (strict) throw http(400, `Invalid filter on line ${i + 1}: ${e.message}`);
+      continue;
+    }
+
+    if (or) groups[groups.length - 1].push(rule);
+    else groups.push([rule]);
+  }
+
+  return groups;
+}
+
+const FILTER_KEYS = ["item", "title", "link", "desc", "date"];
+
+// "key op value" -> { key, op, regex } or { key, op, offset | at } (date)
+function parseRule(line) {
+  const match = line.match(/^([a-z]+)\s*(!=|>=|<=|=|>|<)\s*(.*)$/i);
+  if (!match) throw new Error("expected 'key=/pattern/flags'");
+
+  const key = match[1].toLowerCase();
+  const [, , op, value] = match;
+  if (!FILTER_KEYS.includes(key)) throw new Error(`unknown key '${key}'`);
+
+  if (key === "date") {
+    if (!["<", "<=", ">", ">="].includes(op)) throw new Error("date rules compare with <, <=, >, or >=");
+
+    // Offset from now: -7d, -12h, +1w
+    const rel = value.match(/^([+-]?\d+)\s*(s|m|h|d|w|mo|y)$/i);
+    if (rel) return { key, op, offset: Number(rel[1]) * UNITS[rel[2].toLowerCase()] };
+
+    const at = parseDate(value);
+    if (!at) throw new Error(`invalid date '${value}'`);
+    return { key, op, at: Date.parse(at) };
+  }
+
+  if (op !== "=" && op !== "!=") throw new Error(`'${key}' rules use = or !=`);
+  if (!value.startsWith("/")) throw new Error("pattern must look like /pattern/flags");
+
+  const lastSlash = value.lastIndexOf("/");
+  if (lastSlash <= 0) throw new Error("missing closing '/'");
+
+  const pattern = value.slice(1, lastSlash); // raw between slashes
+  if (!pattern) throw new Error("empty pattern");
 
-    const eq = line.indexOf("=");
-    if (eq <= 0) continue;
+  // Stateless matching; 'g' and 'y' make test() depend on lastIndex
+  const flags = value.slice(lastSlash + 1).replace(/[gy]/g, "");
+  try {
+    return { key, op, regex: new RegExp(pattern, flags) };
+  } catch (e) {
+    throw new Error(e.message);
+  }
+}
+
+// Transform rules, one per line; applied in order to each item:
+// - field~/pattern/replacement/flags -> regex replace ($1, $<name>, ...)
+// - field^=text, field$=text -> remove prefix, suffix (if present)
+// - field-=utm_*,fbclid -> strip URL query params (* is a wildcard)
+// - field=template -> e.g., title={title} ({desc}); {date} is the pubDate
+// Fields: title, link, desc, image, enclosure. Default rules (see below)
+// run first, unless 'defaults' is false (merged feeds; sources ran them);
+// "!name" opts out. Malformed lines: as in parseFilters().
+function parseTransforms(block, strict = false, defaults = true) {
+  const rules = [];
+  const skip = new Set();
+  const lines = block.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) continue;
+
+    try {
+      if (line.startsWith("!")) {
+        const name = line.slice(1).trim();
+        if (!DEFAULT_TRANSFORMS[name]) throw new Error(`unknown default rule '${name}'`);
+        skip.add(name);
+      } else {
+        rules.push({ ...parseTransform(line), line: i + 1 });
+      }
+    } catch (e) {
+      if (strict) throw http(400, `Invalid transform on line ${i + 1}: ${e.message}`);
+    }
+  }
+
+  if (!defaults) return rules;
+  return Object.entries(DEFAULT_TRANSFORMS)
+    .filter(([name]) => !skip.has(name))
+    .map(([, line]) => parseTransform(line))
+    .concat(rules);
+}
+
+// Opt out with "!name"
+const DEFAULT_TRANSFORMS = {
+  // Strip leading numbering: 1., (1, and (1)
+  numbering: "title~/^\\(?(\\d+)[.)]\\s+//",
+};
 
-    const key = line.slice(0, eq).trim().toLowerCase();
-    if (!["item", "title", "link", "desc"].includes(key)) continue;
+const TRANSFORM_FIELDS = ["title", "link", "desc", "image", "enclosure"];
 
-    const regex = line.slice(eq + 1).trim();
-    if (!regex.startsWith("/")) continue;
+function parseTransform(line) {
+  const match = line.match(/^([a-z]+)\s*(~|\^=|\$=|-=|=)\s*(.*)$/i);
+  if (!match) throw new Error("expected 'field~/pattern/replacement/flags' or similar");
 
-    const lastSlash = regex.lastIndexOf("/");
-    if (lastSlash <= 0) continue;
+  const field = match[1].toLowerCase();
+  const [, , op, value] = match;
+  if (!TRANSFORM_FIELDS.includes(field)) throw new Error(`unknown field '${field}'`);
 
-    const pattern = regex.slice(1, lastSlash); // raw between slashes
-    if (!pattern) continue; // empty pattern is like not set
+  if (op === "~") {
+    // Split on unescaped slashes: /pattern/replacement/flags
+    const parts = value.startsWith("/") ? splitUnescaped(value.slice(1), "/") : [];
+    if (parts.length !== 3) throw new Error("expected /pattern/replacement/flags");
 
-    const flags = regex.slice(lastSlash + 1); // may be empty
+    const [pattern, replacement, flags] = parts;
+    if (!pattern) throw new Error("empty pattern");
 
     try {
-      const pat = pattern
-        .replace('\/', '/')
-        .replace('\=', '=');
+      return { field, op, regex: new RegExp(pattern, flags), replacement: replacement.replace(/\\\//g, "/") };
+    } catch (e) {
+      throw new Error(e.message);
+    }
+  }
 
-      out[key] = new RegExp(pat, flags);
-    } catch {} // ignore invalid regex
+  if (op === "-=") {
+    const globs = value.split(",").map(g => g.trim()).filter(Boolean);
+    if (!globs.length) throw new Error("no query params given");
+
+    const escape = g => g.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    return { field, op, params: new RegExp(`^(?:${globs.map(escape).join("|")})$`, "i") };
   }
 
-  return Object.keys(out).length ? out : {};
+  if (op !== "=" && !value) throw new Error("empty text");
+  return { field, op, text: value };
 }
 
-async function jsonToHtml(res) {
-  let data;
+// "a\/b/c/i" -> ["a\/b", "c", "i"]; escapes are kept
+function splitUnescaped(str, sep) {
+  const parts = [""];
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === "\\" && i + 1 < str.length) {
+      parts[parts.length - 1] += str[i] + str[++i];
+    } else if (str[i] === sep) {
+      parts.push("");
+    } else {
+      parts[parts.length - 1] += str[i];
+    }
+  }
+
+  return parts;
+}
+
+// Per item during extraction, before filters (see extractItems())
+function transformItems(items, transforms) {
+  for (const item of items) {
+    for (const rule of transforms) {
+      const value = item[rule.field] || "";
+
+      if (rule.op === "~") {
+        item[rule.field] = value.replace(rule.regex, rule.replacement).trim();
+      } else if (rule.op === "^=") {
+        if (value.startsWith(rule.text)) item[rule.field] = value.slice(rule.text.length).trim();
+      } else if (rule.op === "$=") {
+        if (value.endsWith(rule.text)) item[rule.field] = value.slice(0, -rule.text.length).trim();
+      } else if (rule.op === "-=") {
+        item[rule.field] = stripParams(value, rule.params);
+      } else {
+        const fill = (_, key) => (key === "date" ? item.pubDate : item[key]) ?? "";
+        item[rule.field] = rule.text.replace(/\{(\w+)\}/g, fill).trim();
+      }
+    }
+  }
+
+  return items;
+}
+
+// Drop query params whose name matches; non-URLs are returned as is
+function stripParams(value, pattern) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return value;
+  }
+
+  for (const name of [...url.searchParams.keys()]) {
+    if (pattern.test(name)) url.searchParams.delete(name);
+  }
+
+  return url.toString();
+}
+
+// First group of (OR-ed) rules the item fails, if any
+function failedFilter(item, filters, now = Date.now()) {
+  return filters.find(group => !group.some(rule => testRule(rule, item, now)));
+}
+
+function testRule(rule, item, now) {
+  if (rule.key === "date") {
+    if (!item.pubDate) return false;
+
+    const time = Date.parse(item.pubDate);
+    const bound = rule.offset !== undefined ? now + rule.offset : rule.at;
+    if (rule.op === "<") return time < bound;
+    if (rule.op === "<=") return time <= bound;
+    if (rule.op === ">") return time > bound;
+    return time >= bound;
+  }
+
+  const value = rule.key === "item" ? item._text : item[rule.key];
+  const hit = rule.regex.test(value || "");
+  return rule.op === "!=" ? !hit : hit;
+}
+
+// Root element of RSS (2.0, 1.0/RDF), Atom, and sitemaps; see feedKind()
+const FEED_ROOTS = { "rss": "rss", "rdf:RDF": "rss", "feed": "atom", "urlset": "sitemap", "sitemapindex": "sitemap" };
+
+// "rss", "atom", "sitemap", or undefined; by the first element (skips <?xml ...?>, <!-- -->, <!DOCTYPE>)
+function feedKind(xml) {
+  const root = xml.replace(/<!--[\s\S]*?-->/g, "").match(/<([A-Za-z][\w:.-]*)/);
+  return root ? FEED_ROOTS[root[1]] : undefined;
+}
+
+// Items of an RSS/Atom feed or a sitemap, straight into the item model;
+// selectors are ignored. Regex-based: feeds are flat enough for it.
+// - RSS: title, link, description, content:encoded, pubDate/dc:date, enclosure
+// - Atom: title, link (alternate, enclosure), summary, content, published/updated
+// - sitemap: loc (link), lastmod, news:title/image:title; image:loc
+// HTML in descriptions is reduced to text; full HTML goes to 'content' (sanitized),
+// and to 'descHtml' (sanitized) with desc_mode=html.
+async function extractFeedItems(xml, params, items = [], page = {}, report) {
+  const kind = feedKind(xml);
+  const baseUrl = page.url || params.url;
+  const dateOpts = { format: params.dateFormat, tz: params.tz, now: Date.now() };
+
+  // CDATA to escaped text, so markup inside can't confuse the element regex
+  xml = xml
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => esc(text));
+
+  const tag = { rss: "item", atom: "entry", sitemap: /<urlset\b/.test(xml) ? "url" : "sitemap" }[kind];
+  for (const entry of xmlElements(xml, tag)) {
+    if (items.length >= params.limit) {
+      if (report) report.read.stoppedEarly = true;
+      break;
+    }
+
+    const body = entry.inner;
+    const first = (...names) => names.map(name => xmlElements(body, name)[0]).find(Boolean);
+    const text = (...names) => htmlText(xmlValue(first(...names)));
+
+    let current;
+    if (kind === "rss") {
+      const enclosure = first("enclosure")?.attrs;
+      const thumbnail = first("media:thumbnail", "media:content")?.attrs;
+      current = {
+        title: text("title"),
+        link: xmlValue(first("link")) || permalink(first("guid")),
+        desc: text("description"),
+        descHtml: params.descMode === "html" ? xmlValue(first("description")) : undefined,
+        content: xmlValue(first("content:encoded")),
+        pubDate: text("pubDate", "dc:date"),
+        image: thumbnail?.url,
+        enclosure: enclosure?.url,
+      };
+    } else if (kind === "atom") {
+      const links = xmlElements(body, "link").map(el => el.attrs);
+      const alternate = links.find(l => !l.rel || l.rel === "alternate");
+      const content = first("content");
+      const summary = first("summary");
+      current = {
+        title: text("title"),
+        link: alternate?.href,
+        desc: text("summary") || (content?.attrs.type === "text" ? text("content") : ""),
+        descHtml: params.descMode === "html" && summary?.attrs.type === "xhtml" ? summary.inner
+          : params.descMode === "html" && summary?.attrs.type === "html" ? xmlValue(summary) : undefined,
+        content: content?.attrs.type === "xhtml" ? content.inner : content?.attrs.type === "text" ? "" : xmlValue(content),
+        pubDate: text("published", "updated", "dc:date"),
+        image: first("media:thumbnail")?.attrs.url,
+        enclosure: links.find(l => l.rel === "enclosure")?.href,
+      };
+    } else {
+      current = {
+        title: text("news:title", "image:title"),
+        link: text("loc"),
+        desc: "",
+        pubDate: text("lastmod", "news:publication_date"),
+        image: text("image:loc"),
+      };
+    }
+
+    current.title ||= "";
+    current._text = htmlText(xmlValue(entry));
+    current.link = current.link && safeUrl(current.link, baseUrl);
+    current.image = current.image && safeUrl(current.image, baseUrl);
+    current.enclosure = current.enclosure && safeUrl(current.enclosure, baseUrl);
+
+    const rawDate = current.pubDate;
+    current.pubDate = rawDate ? parseDate(rawDate, dateOpts) : undefined;
+    if (report && rawDate && !current.pubDate) warn(report, `Unparseable date: "${rawDate}"`);
+
+    transformItems([current], params.transforms);
+    const failed = failedFilter(current, params.filters);
+    if (report) recordItem(report, current, failed, params);
+
+    if ((current.title || current.link) && !failed) {
+      items.push(current);
+    }
+  }
+
+  // Sanitized like article content
+  for (const item of items) {
+    if (item.content) item.content = await sanitizeHtml(item.content, baseUrl);
+    if (item.descHtml) item.descHtml = await sanitizeHtml(item.descHtml, baseUrl);
+  }
+
+  return items;
+}
+
+// See captureHtml(); wrapped in a custom element to select it
+async function sanitizeHtml(html, baseUrl) {
+  const wrapped = new Response(`<rssible-content>${html}</rssible-content>`, { headers: { "Content-Type": "text/html" } });
+  return await extractContent(wrapped, "rssible-content", baseUrl) || undefined;
+}
+
+// Elements by exact (qualified) name; not nested in themselves
+function xmlElements(xml, name) {
+  const pattern = new RegExp(`<(${name.replace(/[.:-]/g, "\\$&")})(\\s[^>]*?)?(?:\\/>|>([\\s\\S]*?)<\\/\\1\\s*>)`, "g");
+  return [...xml.matchAll(pattern)].map(([, , attrs = "", inner = ""]) => ({ attrs: xmlAttrs(attrs), inner }));
+}
+
+function xmlAttrs(str) {
+  const attrs = {};
+  for (const [, name, , double, single] of str.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[name] = decodeHTML(double ?? single);
+  }
+
+  return attrs;
+}
+
+// Text of an element; entities decoded (may be escaped HTML, e.g., descriptions)
+function xmlValue(element) {
+  if (!element) return "";
+  return decodeHTML(element.inner.replace(/<[^>]*>/g, "")).trim();
+}
+
+// Plain text of an HTML snippet; script, style, and noscript contents aren't text
+function htmlText(html) {
+  const text = html
+    .replace(/<(script|style|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, " ")
+    .replace(/<[^>]*>/g, " ");
+  return decodeHTML(text).replace(/\s+/g, " ").trim();
+}
+
+// RSS guid is a link unless isPermaLink="false"
+function permalink(guid) {
+  if (!guid || guid.attrs.isPermaLink === "false") return undefined;
+  return xmlValue(guid);
+}
+
+function parseJson(text) {
   try {
-    data = JSON.parse(await res.text());
+    return JSON.parse(text);
   } catch {
     throw http(502, "Invalid JSON from upstream.");
   }
+}
+
+// Path syntax (JSONPath subset; '$' and the leading dot are optional):
+// - $.data.children[*].data, posts[0].title, ['odd key'], $..url, *
+// - "$", "@", "." -> the value itself (e.g., the item)
+// Compiles to steps: { key }, { index }, { wild }, { deep: key or "*" }
+function parsePath(raw) {
+  const str = raw === "@" || raw === "." ? "" : raw.replace(/^\$/, "");
+  const steps = [];
+  const token = /\.\.([^.[\]\s]+)|\.?([^.[\]\s]+)|\[\s*(\*|-?\d+|'[^']*'|"[^"]*")\s*\]/y;
+
+  while (token.lastIndex < str.length) {
+    const start = token.lastIndex;
+    const match = token.exec(str);
+    if (!match || (start && match[2] && str[start] !== ".")) {
+      throw http(400, `Invalid path '${raw}' at position ${start + (raw.length - str.length)}.`);
+    }
+
+    const [, deep, key, bracket] = match;
+    if (deep) steps.push({ deep });
+    else if (key === "*" || bracket === "*") steps.push({ wild: true });
+    else if (key) steps.push({ key });
+    else if (/^-?\d+$/.test(bracket)) steps.push({ index: Number(bracket) });
+    else steps.push({ key: bracket.slice(1, -1) });
+  }
+
+  return steps;
+}
+
+// All values the path matches, in document order
+function evalPath(data, steps) {
+  let nodes = [data];
+  for (const step of steps) {
+    const out = [];
+    for (const node of nodes) {
+      if (!node || typeof node !== "object") continue;
+
+      if (step.deep) {
+        const walk = value => {
+          if (!value || typeof value !== "object") return;
+          if (step.deep === "*") out.push(...Object.values(value));
+          else if (Object.hasOwn(value, step.deep)) out.push(value[step.deep]);
+          Object.values(value).forEach(walk);
+        };
+        walk(node);
+      } else if (step.wild) {
+        out.push(...Object.values(node));
+      } else if (step.index !== undefined) {
+        if (Array.isArray(node) && node.at(step.index) !== undefined) out.push(node.at(step.index));
+      } else if (Object.hasOwn(node, step.key)) {
+        out.push(node[step.key]);
+      }
+    }
+
+    nodes = out;
+  }
+
+  return nodes;
+}
+
+// First non-empty string/number/boolean the path matches (arrays: first element)
+function pathValue(data, steps) {
+  for (const value of evalPath(data, steps).flat()) {
+    if (["string", "number", "boolean"].includes(typeof value) && String(value).trim()) {
+      return String(value).replace(/\s+/g, " ").trim();
+    }
+  }
+}
+
+// All strings and numbers inside 'value' (for 'item' filters)
+function jsonText(value) {
+  if (value && typeof value === "object") return Object.values(value).map(jsonText).filter(Boolean).join(" ");
+  return ["string", "number"].includes(typeof value) ? String(value) : "";
+}
+
+// Like extractItems(), but on parsed JSON with params.paths. A single
+// matched array is unwrapped, so "$.posts" works like "$.posts[*]".
+function extractJsonItems(data, params, items = [], page = {}, report) {
+  const { paths } = params;
+  const baseUrl = page.url || params.url;
+  const needsText = params.filters.some(group => group.some(rule => rule.key === "item"));
+  const dateOpts = { format: params.dateFormat, tz: params.tz, now: Date.now() };
+
+  let matches = evalPath(data, paths.item);
+  if (matches.length === 1 && Array.isArray(matches[0])) matches = matches[0];
+
+  for (const match of matches) {
+    if (items.length >= params.limit) {
+      if (report) report.read.stoppedEarly = true;
+      break;
+    }
+
+    const value = name => paths[name] && pathValue(match, paths[name]);
+    const current = { _text: needsText ? jsonText(match).replace(/\s+/g, " ").trim() : "", title: value("title") || "", desc: value("desc") || "" };
+
+    let link = value("link");
+    if (link && link.startsWith("/")) link = new URL(params.url).origin + link;
+    if (link) current.link = link;
+
+    for (const name of ["image", "enclosure"]) {
+      const url = value(name) && safeUrl(value(name), baseUrl);
+      if (url) current[name] = url;
+    }
+
+    const rawDate = value("date");
+    if (rawDate) {
+      current.pubDate = parseDate(rawDate, dateOpts);
+      if (report && !current.pubDate) warn(report, `Unparseable date: "${rawDate}"`);
+    }
+
+    transformItems([current], params.transforms);
+    const failed = failedFilter(current, params.filters);
+    if (report) recordItem(report, current, failed, params);
+
+    if ((current.title || current.link) && !failed) {
+      items.push(current);
+    }
+  }
+
+  if (paths.next) {
+    // URL-like values are links; anything else is a cursor
+    const next = pathValue(data, paths.next);
+    if (next && /^(https?:\/\/|\/|\?)/i.test(next)) page.href = next;
+    else page.text = next;
+  }
+
+  return items;
+}
+
+async function jsonToHtml(res) {
+  const data = parseJson(await res.text());
 
+  // Keys are kept as is (case too); special chars -> dash
   const _class = (key) => String(key ?? '')
-    .replace(/[^a-z0-9_\-$]/g, '-') // special char -> dash
+    .replace(/[^A-Za-z0-9_\-$]/g, '-') // special char -> dash
     .replace(/-+/g, '-'); // collapse dashes
 
   function toHtml(key, value) {
@@ -527,3 +3521,471 @@ async function jsonToHtml(res) {
     }
   });
 }
+
+// Dates; parseDate() returns an ISO string or undefined. Tried in order:
+// - custom 'format' pattern only, when given (e.g., "DD.MM.YYYY HH:mm")
+// - relative: "3 hours ago", "2d ago", "yesterday 10:30", "just now"
+// - Unix epoch (seconds or milliseconds)
+// - explicit zone (e.g., RFC 822 "GMT", "+02:00"); JS Date() handles those
+// - ISO 8601, D.M.Y, Y-M-D, and month names (English and a few others)
+// - whatever JS Date() makes of it
+// Naive times (no offset) are read in 'tz' (IANA name or +hh:mm); UTC otherwise.
+function parseDate(raw, { format, tz, now = Date.now() } = {}) {
+  const str = decodeHTML(String(raw ?? "")).replace(/\s+/g, " ").trim();
+  if (!str) return undefined;
+
+  let date;
+  if (format) {
+    date = partsToDate(parseWithFormat(str, format), tz);
+  } else {
+    date = parseRelative(str, now, tz)
+      || parseEpoch(str)
+      || (hasZone(str) && parseNative(str))
+      || partsToDate(parseLoose(str, now, tz), tz)
+      || parseNative(str, tz);
+  }
+
+  return date && !isNaN(date) ? date.toISOString() : undefined;
+}
+
+const UNITS = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3, mo: 2592000e3, y: 31536000e3 };
+
+function parseRelative(str, now, tz) {
+  const lower = str.toLowerCase();
+  if (/^(just now|now|moments? ago|a moment ago)$/.test(lower)) return new Date(now);
+
+  // 3 hours ago, an hour ago, 2d ago, about 5 mins ago, last week
+  const ago = lower.match(/^(?:about |over |almost |~)?(\d+|an?|one|last) ?([a-z]+)( ago)?$/);
+  if (ago && (ago[3] || ago[1] === "last")) {
+    const unit = unitOf(ago[2]);
+    if (unit) return new Date(now - (Number(ago[1]) || 1) * UNITS[unit]);
+  }
+
+  // today / yesterday, with optional time (e.g., "Yesterday at 10:30 PM")
+  const day = lower.match(/^(today|yesterday)(?:,? (?:at )?(.+))?$/);
+  if (!day) return undefined;
+
+  const shift = day[1] === "yesterday" ? 1 : 0;
+  const time = day[2] ? parseTime(day[2]) : undefined;
+  if (day[2] && !time) return undefined;
+  if (!time) return new Date(now - shift * UNITS.d);
+
+  // Calendar day as seen in 'tz'
+  const local = new Date(now + (tz ? tzOffset(tz, now) : 0) * 60e3 - shift * UNITS.d);
+  return partsToDate({
+    year: local.getUTCFullYear(), month: local.getUTCMonth(), day: local.getUTCDate(), ...time,
+  }, tz);
+}
+
+function unitOf(word) {
+  if (/^(s|secs?|seconds?)$/.test(word)) return "s";
+  if (/^(m|mins?|minutes?)$/.test(word)) return "m";
+  if (/^(h|hrs?|hours?)$/.test(word)) return "h";
+  if (/^(d|days?)$/.test(word)) return "d";
+  if (/^(w|wks?|weeks?)$/.test(word)) return "w";
+  if (/^(mos?|months?)$/.test(word)) return "mo";
+  if (/^(y|yrs?|years?)$/.test(word)) return "y";
+}
+
+// "10:30", "10:30:15", "10:30 pm"
+function parseTime(str) {
+  const match = str.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?m?\.?/i);
+  if (!match) return undefined;
+
+  let hour = Number(match[1]);
+  const meridiem = match[4]?.toLowerCase();
+  if (meridiem) hour = (hour % 12) + (meridiem === "p" ? 12 : 0);
+  return { hour, minute: Number(match[2]), second: Number(match[3] || 0) };
+}
+
+function parseEpoch(str) {
+  if (/^\d{10}$/.test(str)) return new Date(Number(str) * 1000);
+  if (/^\d{13}$/.test(str)) return new Date(Number(str));
+}
+
+// Tokens: YYYY YY MMMM MMM MM M Do DD D HH H hh h mm m ss s A a Z
+// Anything else is literal, as is text in [brackets] (e.g., "[at]");
+// whitespace matches any whitespace.
+function parseWithFormat(str, format) {
+  const tokens = [];
+  const source = format.replace(
+    /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|Do|DD|D|HH|H|hh|h|mm|m|ss|s|A|a|Z|([\s\S])/g,
+    (token, escaped, literal) => {
+      if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      if (literal !== undefined) return /\s/.test(literal) ? "\\s+" : literal.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      tokens.push(token);
+      if (token === "YYYY") return "(\\d{4})";
+      if (token === "MMMM" || token === "MMM") return "([^\\s\\d.,]+)\\.?";
+      if (token === "Do") return "(\\d{1,2})(?:st|nd|rd|th)";
+      if (token === "A" || token === "a") return "([ap]\\.?m\\.?)";
+      if (token === "Z") return "(Z|[+-]\\d{2}:?\\d{2})";
+      return token.length === 2 ? "(\\d{2})" : "(\\d{1,2})";
+    });
+
+  const match = str.match(new RegExp(source, "i"));
+  if (!match) return undefined;
+
+  const parts = { year: new Date().getUTCFullYear(), month: 0, day: 1, hour: 0, minute: 0, second: 0 };
+  let pm;
+  tokens.forEach((token, i) => {
+    const value = match[i + 1];
+    const num = Number(value);
+    if (token === "YYYY") parts.year = num;
+    else if (token === "YY") parts.year = num < 70 ? 2000 + num : 1900 + num;
+    else if (token.startsWith("MMM")) parts.month = monthIndex(value);
+    else if (token.startsWith("M")) parts.month = num - 1;
+    else if (token.startsWith("D")) parts.day = num;
+    else if (/^h/i.test(token)) parts.hour = num;
+    else if (token.startsWith("m")) parts.minute = num;
+    else if (token.startsWith("s")) parts.second = num;
+    else if (/^a$/i.test(token)) pm = value.toLowerCase().startsWith("p");
+    else if (token === "Z") parts.offset = offsetMinutes(value);
+  });
+
+  if (pm !== undefined) parts.hour = (parts.hour % 12) + (pm ? 12 : 0);
+  return parts;
+}
+
+// Common shapes without a format; undefined if none fits
+function parseLoose(str, now, tz) {
+  // ISO 8601; native Date handles explicit offsets
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (iso) {
+    return {
+      year: +iso[1], month: iso[2] - 1, day: +iso[3],
+      hour: +(iso[4] || 0), minute: +(iso[5] || 0), second: +(iso[6] || 0),
+      offset: iso[7] ? offsetMinutes(iso[7]) : undefined,
+    };
+  }
+
+  const time = parseTime(str) || { hour: 0, minute: 0, second: 0 };
+  const rest = str.replace(/\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?m\.?)?/i, " ");
+
+  // 19.10.2026 (day first), 2026-10-19, 2026/10/19
+  const dmy = rest.match(/\b(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})\b/);
+  if (dmy) {
+    const year = dmy[3].length === 2 ? 2000 + Number(dmy[3]) : Number(dmy[3]);
+    return { year, month: dmy[2] - 1, day: +dmy[1], ...time };
+  }
+
+  const ymd = rest.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (ymd) return { year: +ymd[1], month: ymd[2] - 1, day: +ymd[3], ...time };
+
+  // Month names: "Oct 19th, 2026", "19. Oktober 2026", "19 de octubre de 2026"
+  // Full names win over abbreviations (e.g., Spanish "mar" for Tuesday); then
+  // the name closest to a day number ("Posted by Jan on Oct 19", "Jan 2026
+  // archive, Oct 19"), and the day closest to that name ("3 comments, Oct 19").
+  const yearMatch = rest.match(/\b(\d{4})\b/);
+  const days = [...rest.replace(/\b\d{4}\b/, "    ").matchAll(/\b(\d{1,2})(?:st|nd|rd|th|\.)?(?!\d)/gi)];
+  const words = [...rest.matchAll(/\p{L}+/gu)];
+  const names = words.filter(word => monthIndex(word[0], false) >= 0);
+  const candidates = names.length ? names : words.filter(word => monthIndex(word[0]) >= 0);
+  if (!candidates.length || !days.length) return undefined;
+
+  // Characters between two matches; the earlier one wins ties
+  const gap = (a, b) => (a.index < b.index ? b.index - a.index - a[0].length : a.index - b.index - b[0].length);
+  const closest = (list, to) => list.reduce((best, m) => (to(m) < to(best) ? m : best));
+  const word = closest(candidates, w => Math.min(...days.map(d => gap(w, d))));
+  const month = monthIndex(word[0]);
+  const day = closest(days, d => gap(d, word));
+
+  const parts = { year: yearMatch ? +yearMatch[1] : undefined, month, day: +day[1], ...time };
+  if (parts.year === undefined) {
+    // No year, e.g., "Oct 19"; the most recent such date
+    const local = new Date(now + (tz ? tzOffset(tz, now) : 0) * 60e3);
+    parts.year = local.getUTCFullYear();
+    const candidate = Date.UTC(parts.year, month, parts.day);
+    if (candidate > local.getTime() + UNITS.d) parts.year--;
+  }
+
+  return parts;
+}
+
+// Last resort; naive results are re-read in 'tz'
+function parseNative(str, tz) {
+  const date = new Date(str);
+  if (isNaN(date)) return undefined;
+
+  if (!tz || hasZone(str)) return date;
+
+  return partsToDate({
+    year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate(),
+    hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds(),
+  }, tz);
+}
+
+function hasZone(str) {
+  return /(?:\dZ|[+-]\d{2}:?\d{2}|\b(?:GMT|UTC|[ECMP][SD]T))\s*$/.test(str);
+}
+
+// { year, month (0-based), day, hour, minute, second, offset? } -> Date
+function partsToDate(parts, tz) {
+  if (!parts) return undefined;
+
+  const { year, month, day, hour = 0, minute = 0, second = 0, offset } = parts;
+  if (!(month >= 0 && month < 12 && day >= 1 && day <= 31 && hour < 24 && minute < 60 && second < 61)) {
+    return undefined;
+  }
+
+  const wall = Date.UTC(year, month, day, hour, minute, second);
+  if (offset !== undefined) return new Date(wall - offset * 60e3);
+  if (!tz) return new Date(wall);
+
+  // Offset at the guessed instant; once more for DST transitions
+  const guess = wall - tzOffset(tz, wall) * 60e3;
+  return new Date(wall - tzOffset(tz, guess) * 60e3);
+}
+
+// Minutes east of UTC for 'tz' (IANA name or +hh:mm) at the given instant
+function tzOffset(tz, utcMs) {
+  if (/^(utc|gmt|z)$/i.test(tz)) return 0;
+  if (/^[+-]\d{2}:?\d{2}$/.test(tz)) return offsetMinutes(tz);
+
+  // Throws RangeError for unknown zones
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23",
+    year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric",
+  });
+
+  const get = {};
+  for (const { type, value } of fmt.formatToParts(new Date(utcMs))) get[type] = Number(value);
+  const asUtc = Date.UTC(get.year, get.month - 1, get.day, get.hour, get.minute, get.second);
+  return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / 60e3);
+}
+
+// "Z", "+02:00", "-0530" -> minutes
+function offsetMinutes(str) {
+  if (/^z$/i.test(str)) return 0;
+  const sign = str[0] === "-" ? -1 : 1;
+  const digits = str.replace(/\D/g, "");
+  return sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2, 4)));
+}
+
+// Month names and abbreviations (prefixes), diacritics ignored; -1 if unknown
+// Full names, or standard abbreviations too; not any prefix ("Marc" isn't March)
+function monthIndex(word, abbreviated = true) {
+  const norm = String(word).toLowerCase().normalize("NFD").replace(/\p{M}/gu, "").replace(/\.$/, "");
+  return MONTHS.findIndex((names, i) => names.includes(norm) || (abbreviated && MONTH_ABBREVIATIONS[i].includes(norm)));
+}
+
+// Per month: en, de, fr, es, it, pt, nl, pl (incl. genitive), ru (incl. genitive)
+const MONTHS = [
+  ["january", "januar", "janvier", "enero", "gennaio", "janeiro", "januari", "styczen", "stycznia", "январь", "января"],
+  ["february", "februar", "fevrier", "febrero", "febbraio", "fevereiro", "februari", "luty", "lutego", "февраль", "февраля"],
+  ["march", "marz", "mars", "marzo", "marco", "maart", "marzec", "marca", "март", "марта"],
+  ["april", "avril", "abril", "aprile", "kwiecien", "kwietnia", "апрель", "апреля"],
+  ["may", "mai", "mayo", "maggio", "maio", "mei", "maj", "maja", "май", "мая"],
+  ["june", "juni", "juin", "junio", "giugno", "junho", "czerwiec", "czerwca", "июнь", "июня"],
+  ["july", "juli", "juillet", "julio", "luglio", "julho", "lipiec", "lipca", "июль", "июля"],
+  ["august", "aout", "agosto", "augustus", "sierpien", "sierpnia", "август", "августа"],
+  ["september", "septembre", "septiembre", "setiembre", "settembre", "setembro", "wrzesien", "wrzesnia", "сентябрь", "сентября"],
+  ["october", "oktober", "octobre", "octubre", "ottobre", "outubro", "pazdziernik", "pazdziernika", "октябрь", "октября"],
+  ["november", "novembre", "noviembre", "novembro", "listopad", "listopada", "ноябрь", "ноября"],
+  ["december", "dezember", "decembre", "diciembre", "dicembre", "dezembro", "grudzien", "grudnia", "декабрь", "декабря"],
+];
+
+// Per month, same languages; accents removed (see monthIndex())
+const MONTH_ABBREVIATIONS = [
+  ["jan", "janv", "ene", "gen", "sty", "янв"],
+  ["feb", "fevr", "fev", "lut", "фев", "февр"],
+  ["mar", "mrt", "мар"],
+  ["apr", "avr", "abr", "kwi", "апр"],
+  ["mag"],
+  ["jun", "giu", "cze", "июн"],
+  ["jul", "juil", "lug", "lip", "июл"],
+  ["aug", "ago", "sie", "авг"],
+  ["sep", "sept", "set", "wrz", "сен", "сент"],
+  ["oct", "okt", "ott", "out", "paz", "окт"],
+  ["nov", "lis", "ноя", "нояб"],
+  ["dec", "dez", "dic", "gru", "дек"],
+];
+
+// Rendering: render(url, { headers, waitFor, check }) -> Response with the
+// DOM's HTML after scripts ran; 'check' throws for URLs the browser must not
+// request (see checkUrl()), where the renderer can intercept them. Tried in order:
+// - BROWSER: Cloudflare Browser Rendering binding (wrangler.toml)
+// - RENDER_URL: Puppeteer-style /content endpoint (e.g., browserless for
+//   Docker); RENDER_TOKEN is sent as a bearer token, if set. The browser's
+//   own requests can't be checked there (no 'check'), so it's refused unless
+//   RENDER_UNCHECKED=1
+// - RENDERER=stub: plain fetch, no scripts (tests, local dev)
+function getRenderer(env) {
+  if (env?.BROWSER) return browserRenderer(env.BROWSER);
+  if (env?.RENDER_URL) {
+    if (env.RENDER_UNCHECKED !== "1") {
+      throw http(501, "RENDER_URL can't check the browser's own requests (redirects, resources); set RENDER_UNCHECKED=1 to use it anyway.");
+    }
+    return endpointRenderer(env.RENDER_URL, env.RENDER_TOKEN);
+  }
+  if (env?.RENDERER === "stub") return stubRenderer(env);
+  throw http(501, "Rendering isn't configured; set a BROWSER binding or RENDER_URL.");
+}
+
+function browserRenderer(binding) {
+  return {
+    async render(url, { headers, waitFor, check }) {
+      const browser = await puppeteer.launch(binding);
+      try {
+        const page = await browser.newPage();
+        const { origin } = new URL(url);
+
+        // Redirects and resources too; data:, blob: and the like stay local.
+        // Custom headers (e.g., cookies) only go to the page's origin, like
+        // in fetchContents()
+        await page.setRequestInterception(true);
+        page.on("request", request => {
+          try {
+            if (!/^https?:/i.test(request.url())) return request.continue();
+            check(request.url());
+            if (new URL(request.url()).origin !== origin) return request.continue();
+            request.continue({ headers: { ...request.headers(), ...headers } });
+          } catch {
+            request.abort("blockedbyclient");
+          }
+        });
+
+        const res = await page.goto(url, { waitUntil: "networkidle2", timeout: RENDER_TIMEOUT });
+        if (waitFor) await page.waitForSelector(waitFor, { timeout: RENDER_TIMEOUT });
+        return htmlResponse(await page.content(), res?.status());
+      } catch (e) {
+        if (e?.name === "TimeoutError") throw http(504, `Rendering timed out: ${e.message}`);
+        throw e;
+      } finally {
+        await browser.close();
+      }
+    },
+  };
+}
+
+// Same request body for browserless and Cloudflare's REST API; the latter
+// wraps the HTML in JSON ({ success, result })
+function endpointRenderer(endpoint, token) {
+  return {
+    async render(url, { headers, waitFor }) {
+      const body = {
+        url,
+        setExtraHTTPHeaders: headers,
+        gotoOptions: { waitUntil: "networkidle2", timeout: RENDER_TIMEOUT },
+      };
+      if (waitFor) body.waitForSelector = { selector: waitFor, timeout: RENDER_TIMEOUT };
+
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) throw http(502, `Renderer ${res.status}: ${(await res.text()).slice(0, 200)}`);
+
+      const html = isJsonResponse(res) ? (await res.json()).result : await res.text();
+      return htmlResponse(html || "");
+    },
+  };
+}
+
+function stubRenderer(env) {
+  return {
+    async render(url, { headers }) {
+      const res = await requestUpstream(url, { headers }, env);
+      return htmlResponse(await res.text(), res.status);
+    },
+  };
+}
+
+function htmlResponse(html, status = 200) {
+  return new Response(html, { status, headers: { "Content-Type": "text/html; charset=utf-8" } });
+}
+
+// Storage: KV-style async get/put/delete/list of JSON values; put() takes
+// an optional TTL in seconds.
+// Uses the FEEDS KV binding when configured (wrangler.toml), otherwise
+// falls back to an in-memory map (e.g., `wrangler dev` without KV).
+function getStore(env) {
+  return env?.FEEDS ? kvStore(env.FEEDS) : memoryStore;
+}
+
+function kvStore(kv) {
+  return {
+    get: key => kv.get(key, "json"),
+    put: (key, value, ttl) => kv.put(key, JSON.stringify(value), ttl ? { expirationTtl: ttl } : undefined),
+    delete: key => kv.delete(key),
+
+    async list(prefix) {
+      const keys = [];
+      let cursor;
+      do {
+        // Paginated; up to 1000 keys per call
+        const page = await kv.list({ prefix, cursor });
+        keys.push(...page.keys.map(k => k.name));
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+      return keys;
+    },
+  };
+}
+
+// Per-isolate; lost on restart. key -> { json, expires (ms; optional) }
+const memory = new Map();
+const memoryStore = {
+  get: async key => {
+    const entry = memoryEntry(key);
+    return entry ? JSON.parse(entry.json) : null;
+  },
+  put: async (key, value, ttl) => {
+    memory.delete(key); // re-inserted as the newest
+    if (memory.size >= MAX_MEMORY_ENTRIES) evictMemory();
+    memory.set(key, { json: JSON.stringify(value), expires: ttl ? Date.now() + ttl * 1000 : undefined });
+  },
+  delete: async key => void memory.delete(key),
+  list: async prefix => [...memory.keys()].filter(k => k.startsWith(prefix || "") && memoryEntry(k)),
+};
+
+// Expired entries are dropped when read
+function memoryEntry(key) {
+  const entry = memory.get(key);
+  if (entry?.expires && entry.expires <= Date.now()) {
+    memory.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+// When full: expired entries, else the oldest with a TTL (state and caches
+// before definitions), else the oldest
+function evictMemory() {
+  const now = Date.now();
+  for (const [key, entry] of memory) {
+    if (entry.expires && entry.expires <= now) memory.delete(key);
+  }
+  if (memory.size < MAX_MEMORY_ENTRIES) return;
+
+  const [oldest] = [...memory].find(([, entry]) => entry.expires) || [memory.keys().next().value];
+  memory.delete(oldest);
+}
+
+function randomString(length) {
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  // Slight modulo bias (256 % 62) is fine for IDs and tokens
+  return Array.from(bytes, b => chars[b % chars.length]).join("");
+}
+
+// Hex HMAC-SHA256 (WebSub X-Hub-Signature)
+async function hmacSha256(secret, str) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = await crypto.subtle.sign("HMAC", key, enc.encode(str));
+  return Array.from(new Uint8Array(sig), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+}
+
+async function sha256(str) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(str));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}